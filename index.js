@@ -1,246 +1,2412 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
 import axios from "axios";
 import dotenv from "dotenv";
+import YAML from "yaml";
 import dayjsBase from "dayjs";
 import utc from "dayjs/plugin/utc.js";
 import timezone from "dayjs/plugin/timezone.js";
 
 dotenv.config();
 const dayjs = dayjsBase.extend(utc).extend(timezone);
+// True when started as `node index.js`, false when the tests import the module.
+const RUN_AS_CLI = Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
 
-const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
-const GITLAB_TOKEN = process.env.GITLAB_TOKEN;
+const OUTPUT_TYPES = ["discord", "slack", "teams", "json"];
 
-if (!DISCORD_WEBHOOK_URL || !GITLAB_TOKEN) {
-  console.error("Missing DISCORD_WEBHOOK_URL or GITLAB_TOKEN.");
-  process.exit(1);
+// Section ids usable in DISCORD_SECTIONS / DESTINATION_<NAME>_SECTIONS.
+const REPORT_SECTION_IDS = [
+  "metrics",
+  "partial",
+  "activity",
+  "busiest",
+  "velocity",
+  "reviews",
+  "alerts",
+  "bugs",
+  "backlog",
+  "pipelines",
+  "dora",
+  "projects",
+  "milestones",
+  "features",
+  "changelog",
+  "tickets",
+  "releases",
+  "changes",
+  "waiting",
+  "repos",
+  "members",
+  "worktypes",
+  "commits"
+];
+
+// velocity.config.(json|yaml|yml) groups the settings below by topic. Every leaf
+// fills the env var it names, and only when that env var is unset or empty, so
+// .env files and CI secrets keep overriding the file.
+const configValue = (env, type, options = {}) => ({ env, type, ...options });
+const configSecret = (env, type = "string") => configValue(env, type, { secret: true });
+const envNameSuffix = name => name.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+
+const GITLAB_DISCOVER_MODES = ["group", "user", "mixed"];
+const CONFIG_SCHEMA = {
+  report: {
+    title: configValue("REPORT_TITLE", "string"),
+    timezone: configValue("REPORT_TZ", "timezone"),
+    window: configValue("WINDOW_MODE", "enum", { values: ["DAILY", "TODAY", "LAST24H", "WEEKLY", "MONTHLY", "SPRINT"] }),
+    digestPeriod: configValue("DIGEST_PERIOD", "enum", { values: ["previous", "current"] }),
+    weekStartDay: configValue("WEEK_START_DAY", "integer", { min: 0, max: 6 }),
+    sprintStartDate: configValue("SPRINT_START_DATE", "date"),
+    sprintLengthDays: configValue("SPRINT_LENGTH_DAYS", "integer", { min: 1 })
+  },
+  sources: {
+    gitlab: {
+      baseUrl: configValue("GITLAB_BASE_URL", "url"),
+      token: configSecret("GITLAB_TOKEN"),
+      groupIds: configValue("GROUP_IDS", "ids"),
+      projectIds: configValue("GITLAB_PROJECT_IDS", "ids"),
+      userId: configValue("USER_ID", "id"),
+      discoverMode: configValue("DISCOVER_MODE", "enum", { values: GITLAB_DISCOVER_MODES }),
+      instances: {
+        named: "GITLAB_INSTANCES",
+        envPrefix: name => `GITLAB_${envNameSuffix(name)}`,
+        fields: {
+          baseUrl: configValue("_BASE_URL", "url", { required: true }),
+          token: configSecret("_TOKEN"),
+          groupIds: configValue("_GROUP_IDS", "ids"),
+          projectIds: configValue("_PROJECT_IDS", "ids"),
+          userId: configValue("_USER_ID", "id"),
+          discoverMode: configValue("_DISCOVER_MODE", "enum", { values: GITLAB_DISCOVER_MODES })
+        },
+        requiredEnv: ["_TOKEN"]
+      }
+    },
+    github: {
+      token: configSecret("GITHUB_TOKEN"),
+      discoverMode: configValue("GITHUB_DISCOVER_MODE", "enum", { values: ["org", "user", "mixed"] }),
+      orgs: configValue("GITHUB_ORGS", "list"),
+      user: configValue("GITHUB_USER", "string"),
+      repos: configValue("GITHUB_REPOS", "repos"),
+      backend: configValue("GITHUB_BACKEND", "enum", { values: ["rest", "graphql"] }),
+      graphqlBatch: configValue("GITHUB_GRAPHQL_BATCH", "integer", { min: 1 })
+    }
+  },
+  filters: {
+    includeSubgroups: configValue("INCLUDE_SUBGROUPS", "boolean"),
+    archived: configValue("ARCHIVED", "boolean"),
+    visibility: configValue("VISIBILITY", "enum", { values: ["public", "internal", "private"] }),
+    nameInclude: configValue("NAME_INCLUDE_REGEX", "regex"),
+    nameExclude: configValue("NAME_EXCLUDE_REGEX", "regex"),
+    extraProjectIds: configValue("EXTRA_PROJECT_IDS", "projectKeys"),
+    excludeProjectIds: configValue("EXCLUDE_PROJECT_IDS", "projectKeys"),
+    github: {
+      repoInclude: configValue("GITHUB_REPO_INCLUDE_REGEX", "regex"),
+      repoExclude: configValue("GITHUB_REPO_EXCLUDE_REGEX", "regex"),
+      extraRepos: configValue("GITHUB_EXTRA_REPOS", "repos"),
+      excludeRepos: configValue("GITHUB_EXCLUDE_REPOS", "repos")
+    },
+    bots: {
+      enabled: configValue("BOT_FILTER", "boolean"),
+      patterns: configValue("BOT_AUTHOR_PATTERNS", "regexList")
+    },
+    excludeMergeCommits: configValue("COMMIT_EXCLUDE_MERGES", "boolean"),
+    dedupeCherryPicks: configValue("COMMIT_DEDUPE_CHERRY_PICKS", "boolean"),
+    diffExcludeGlobs: configValue("DIFF_EXCLUDE_GLOBS", "list")
+  },
+  labels: {
+    internal: configValue("ORG_LABEL_INTERNAL", "string"),
+    client: configValue("ORG_LABEL_CLIENT", "string"),
+    clientProjectIds: configValue("CLIENT_PROJECT_IDS", "projectRefs"),
+    clientGroupsFile: configValue("CLIENT_GROUPS_FILE", "string"),
+    identityMapFile: configValue("IDENTITY_MAP_FILE", "string"),
+    issueCategories: {
+      named: "ISSUE_CATEGORIES",
+      envPrefix: name => `ISSUE_LABELS_${name.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`,
+      value: configValue("", "list")
+    },
+    unlabelledIssuesAs: configValue("ISSUE_UNLABELLED_AS", "string"),
+    rankScopes: configValue("ISSUE_RANK_SCOPES", "list"),
+    untriaged: configValue("BACKLOG_UNTRIAGED_LABELS", "list"),
+    incidents: configValue("DORA_INCIDENT_LABELS", "list"),
+    conventionalTypes: configValue("CONVENTIONAL_TYPES", "list")
+  },
+  alerts: {
+    inactiveRepos: configValue("ALERT_INACTIVE_REPOS", "boolean"),
+    staleThresholdDays: configValue("ALERT_STALE_THRESHOLD_DAYS", "integer", { min: 1 }),
+    newRepoDays: configValue("ALERT_NEW_REPO_DAYS", "integer", { min: 1 }),
+    openMrAgeDays: configValue("OPEN_MR_AGE_DAYS", "numbers"),
+    backlogAgeDays: configValue("BACKLOG_AGE_DAYS", "numbers"),
+    issueSlaDays: configValue("ISSUE_SLA_DAYS", "numberMap"),
+    largeChangeLines: configValue("LARGE_CHANGE_LINES", "integer", { min: 1 }),
+    largeChangeFiles: configValue("LARGE_CHANGE_FILES", "integer", { min: 1 })
+  },
+  // Turns optional report sections (and the API calls behind them) on or off.
+  sections: {
+    reviews: configValue("REVIEW_METRICS", "boolean"),
+    openMrAging: configValue("OPEN_MR_AGING", "boolean"),
+    diffStats: configValue("DIFF_STATS", "boolean"),
+    backlog: configValue("BACKLOG_HEALTH", "boolean"),
+    pipelines: configValue("PIPELINE_HEALTH", "boolean"),
+    dora: configValue("DORA_METRICS", "enum", { values: ["digest", "always", "off"] }),
+    conventionalCommits: configValue("CONVENTIONAL_COMMITS", "boolean"),
+    milestones: configValue("MILESTONES", "boolean"),
+    releases: configValue("RELEASE_TRACKING", "boolean")
+  },
+  limits: {
+    diffStatsCommits: configValue("DIFF_STATS_MAX_COMMITS", "integer", { min: 0 }),
+    openMrHighlights: configValue("OPEN_MR_HIGHLIGHT_LIMIT", "integer", { min: 0 }),
+    pipelineDetails: configValue("PIPELINE_DETAIL_LIMIT", "integer", { min: 0 }),
+    issueSla: configValue("ISSUE_SLA_LIMIT", "integer", { min: 0 }),
+    changelog: configValue("CHANGELOG_LIMIT", "integer", { min: 0 }),
+    milestones: configValue("MILESTONE_LIMIT", "integer", { min: 0 }),
+    milestoneRateDays: configValue("MILESTONE_RATE_DAYS", "integer", { min: 1 }),
+    releases: configValue("RELEASE_HIGHLIGHT_LIMIT", "integer", { min: 0 }),
+    releaseNotesExcerpt: configValue("RELEASE_NOTES_EXCERPT", "integer", { min: 0 }),
+    trackerLookups: configValue("TRACKER_FETCH_LIMIT", "integer", { min: 0 })
+  },
+  dora: {
+    environment: configValue("DORA_ENVIRONMENT", "string"),
+    deploySource: configValue("DORA_DEPLOY_SOURCE", "enum", { values: ["auto", "deployments", "releases"] }),
+    failureWindowHours: configValue("DORA_FAILURE_WINDOW_HOURS", "integer", { min: 1 })
+  },
+  trackers: {
+    named: "TRACKERS",
+    envPrefix: name => `TRACKER_${envNameSuffix(name)}`,
+    fields: {
+      type: configValue("_TYPE", "enum", { values: ["jira", "linear", "generic"] }),
+      url: configValue("_URL", "string", { required: true }),
+      pattern: configValue("_PATTERN", "regex"),
+      apiUrl: configValue("_API_URL", "url"),
+      user: configValue("_USER", "string"),
+      token: configSecret("_TOKEN")
+    }
+  },
+  http: {
+    concurrency: configValue("HTTP_CONCURRENCY", "integer", { min: 1 }),
+    timeoutMs: configValue("HTTP_TIMEOUT_MS", "integer", { min: 1 }),
+    maxRetries: configValue("HTTP_MAX_RETRIES", "integer", { min: 0 }),
+    backoffMs: configValue("HTTP_BACKOFF_MS", "integer", { min: 0 }),
+    maxWaitMs: configValue("HTTP_MAX_WAIT_MS", "integer", { min: 0 }),
+    cache: configValue("HTTP_CACHE", "boolean"),
+    cacheDir: configValue("HTTP_CACHE_DIR", "string"),
+    cacheRetentionDays: configValue("HTTP_CACHE_RETENTION_DAYS", "integer", { min: 1 }),
+    metadataTtlHours: configValue("METADATA_TTL_HOURS", "number", { min: 0 }),
+    incrementalFetch: configValue("INCREMENTAL_FETCH", "boolean")
+  },
+  history: {
+    enabled: configValue("HISTORY_ENABLED", "boolean"),
+    file: configValue("HISTORY_FILE", "string"),
+    retentionDays: configValue("HISTORY_RETENTION_DAYS", "integer", { min: 1 })
+  },
+  // "discord" is the default destination (DISCORD_WEBHOOK_URL); any other name becomes a DESTINATIONS entry.
+  destinations: {
+    named: "DESTINATIONS",
+    envPrefix: name => `DESTINATION_${envNameSuffix(name)}`,
+    fields: {
+      type: configValue("_TYPE", "enum", { values: OUTPUT_TYPES, required: true }),
+      url: configSecret("_URL", "url"),
+      format: configValue("_FORMAT", "enum", { values: ["embeds", "text"] }),
+      sections: configValue("_SECTIONS", "sections")
+    },
+    requiredEnv: ["_URL"],
+    reserved: {
+      discord: {
+        type: configValue("", "enum", { values: ["discord"] }),
+        url: configSecret("DISCORD_WEBHOOK_URL", "url"),
+        format: configValue("DISCORD_FORMAT", "enum", { values: ["embeds", "text"] }),
+        sections: configValue("DISCORD_SECTIONS", "sections")
+      }
+    }
+  }
+};
+
+const isConfigLeaf = node => typeof node?.type === "string";
+const isPlainObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+const GITLAB_PROJECT_KEY = /^(?:[a-z0-9._-]+:)?\d+$/i;
+const GITHUB_REPO_NAME = /^[\w.-]+\/[\w.-]+$/;
+
+function csvItems(value, where, check) {
+  const items = Array.isArray(value) ? value : [value];
+  return items.map((item, index) => {
+    const at = Array.isArray(value) ? `${where}[${index}]` : where;
+    const text = check(item, at);
+    if (text.includes(",")) throw new Error(`${at}: "${text}" cannot contain a comma`);
+    return text;
+  }).join(",");
 }
 
-const REPORT_TZ = process.env.REPORT_TZ || "Asia/Kolkata";
-const WINDOW_MODE = (process.env.WINDOW_MODE || "DAILY").toUpperCase(); // DAILY | TODAY | LAST24H
-const REPORT_TITLE = process.env.REPORT_TITLE || "GitLab Engineering Team Velocity";
-const ORG_LABEL_INTERNAL = process.env.ORG_LABEL_INTERNAL || "Internal";
-const ORG_LABEL_CLIENT = process.env.ORG_LABEL_CLIENT || "Client";
-const CLIENT_PROJECT_IDS = (process.env.CLIENT_PROJECT_IDS || "")
-  .split(",").map(s => s.trim()).filter(Boolean);
-const CLIENT_PROJECT_ID_SET = new Set(
-  CLIENT_PROJECT_IDS.map(id => id.toLowerCase())
-);
+function configString(value, where) {
+  if (typeof value !== "string" || !value.trim()) throw new Error(`${where}: expected a non-empty string`);
+  return value.trim();
+}
+
+function configId(value, where, pattern = /^\d+$/, expected = "a numeric ID") {
+  const text = typeof value === "number" ? String(value) : typeof value === "string" ? value.trim() : "";
+  if (!pattern.test(text)) throw new Error(`${where}: expected ${expected}, got ${JSON.stringify(value)}`);
+  return text;
+}
 
-function computeWindow() {
-  const now = dayjs().tz(REPORT_TZ);
-  if (WINDOW_MODE === "LAST24H") {
-    return { since: now.subtract(24, "hour").toDate(), until: now.toDate(), label: "Last 24h" };
+function configRegex(value, where) {
+  const source = configString(value, where);
+  try {
+    new RegExp(source);
+  } catch (err) {
+    throw new Error(`${where}: invalid regular expression ${JSON.stringify(source)} (${err.message})`);
   }
-  if (WINDOW_MODE === "TODAY") {
-    const s = now.startOf("day"), u = now.endOf("day");
-    return { since: s.toDate(), until: u.toDate(), label: s.format("MMMM D, YYYY") };
+  return source;
+}
+
+function configNumber(value, where, { integer = false, min, max } = {}) {
+  const valid = typeof value === "number" && Number.isFinite(value) && (!integer || Number.isInteger(value));
+  if (!valid) throw new Error(`${where}: expected ${integer ? "an integer" : "a number"}, got ${JSON.stringify(value)}`);
+  if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+    const range = min !== undefined && max !== undefined ? `between ${min} and ${max}` : min !== undefined ? `at least ${min}` : `at most ${max}`;
+    throw new Error(`${where}: must be ${range}, got ${value}`);
+  }
+  return String(value);
+}
+
+// Returns the env var value for one config leaf, or throws with the offending path.
+function configLeafValue(spec, value, where) {
+  switch (spec.type) {
+    case "string":
+      return configString(value, where);
+    case "url": {
+      const url = configString(value, where);
+      if (!/^https?:\/\/\S+$/i.test(url)) throw new Error(`${where}: expected an http(s) URL`);
+      return url;
+    }
+    case "boolean":
+      if (typeof value !== "boolean") throw new Error(`${where}: expected true or false, got ${JSON.stringify(value)}`);
+      return String(value);
+    case "integer":
+      return configNumber(value, where, { integer: true, min: spec.min, max: spec.max });
+    case "number":
+      return configNumber(value, where, { min: spec.min, max: spec.max });
+    case "numbers":
+      return csvItems(value, where, (item, at) => configNumber(item, at, { min: 0 }));
+    case "enum": {
+      const text = typeof value === "string" ? value.trim() : "";
+      const match = spec.values.find(option => option.toLowerCase() === text.toLowerCase());
+      if (!match) throw new Error(`${where}: expected one of ${spec.values.join(", ")}, got ${JSON.stringify(value)}`);
+      return match;
+    }
+    case "timezone": {
+      const zone = configString(value, where);
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: zone });
+      } catch {
+        throw new Error(`${where}: unknown time zone ${JSON.stringify(zone)}`);
+      }
+      return zone;
+    }
+    case "date": {
+      const date = configString(value, where);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !dayjs(date).isValid() || dayjs(date).format("YYYY-MM-DD") !== date) {
+        throw new Error(`${where}: expected a YYYY-MM-DD date, got ${JSON.stringify(value)}`);
+      }
+      return date;
+    }
+    case "id":
+      return configId(value, where);
+    case "ids":
+      return csvItems(value, where, (item, at) => configId(item, at));
+    case "projectKeys":
+      return csvItems(value, where, (item, at) => configId(item, at, GITLAB_PROJECT_KEY, "a project ID or <instance>:<id>"));
+    case "projectRefs":
+      return csvItems(value, where, (item, at) => {
+        const text = typeof item === "string" ? item.trim() : item;
+        return GITHUB_REPO_NAME.test(text) ? text : configId(item, at, GITLAB_PROJECT_KEY, "a project ID, <instance>:<id> or owner/repo");
+      });
+    case "repos":
+      return csvItems(value, where, (item, at) => configId(item, at, GITHUB_REPO_NAME, "an owner/repo name"));
+    case "list":
+      return csvItems(value, where, configString);
+    case "regex":
+      return configRegex(value, where);
+    case "regexList":
+      return csvItems(value, where, configRegex);
+    case "sections":
+      return csvItems(value, where, (item, at) => {
+        const id = configString(item, at).toLowerCase();
+        if (!REPORT_SECTION_IDS.includes(id)) throw new Error(`${at}: unknown section "${id}" (expected one of ${REPORT_SECTION_IDS.join(", ")})`);
+        return id;
+      });
+    case "numberMap": {
+      if (!isPlainObject(value)) throw new Error(`${where}: expected an object of name: number`);
+      return Object.entries(value)
+        .map(([key, days]) => `${key.toLowerCase()}=${configNumber(days, `${where}.${key}`, { min: 0 })}`)
+        .join(",");
+    }
+    default:
+      throw new Error(`${where}: unsupported schema type ${spec.type}`);
   }
-  const s = now.subtract(1, "day").startOf("day");
-  const u = now.subtract(1, "day").endOf("day");
-  return { since: s.toDate(), until: u.toDate(), label: s.format("MMMM D, YYYY") };
 }
 
-const gitlab = axios.create({
-  baseURL: "https://gitlab.com/api/v4",
-  headers: { "PRIVATE-TOKEN": GITLAB_TOKEN }
-});
+function checkConfigKeys(value, allowed, where, errors) {
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) errors.push(`${where ? `${where}.` : ""}${key}: unknown key (expected one of ${allowed.join(", ")})`);
+  }
+}
 
-const GITHUB_TOKEN = (process.env.GITHUB_TOKEN || "").trim();
-const github = GITHUB_TOKEN
-  ? axios.create({
-      baseURL: "https://api.github.com",
-      headers: {
-        Authorization: `token ${GITHUB_TOKEN}`,
-        "User-Agent": "aquarious-velocity-bot",
-        Accept: "application/vnd.github+json"
+function flattenConfigFields(fields, value, where, envPrefix, env, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`${where}: expected an object`);
+    return;
+  }
+  checkConfigKeys(value, Object.keys(fields), where, errors);
+  for (const [key, spec] of Object.entries(fields)) {
+    if (value[key] === undefined || value[key] === null) {
+      if (spec.required) errors.push(`${where}.${key}: required`);
+      continue;
+    }
+    try {
+      const text = configLeafValue(spec, value[key], `${where}.${key}`);
+      if (spec.env) env.set(`${envPrefix}${spec.env}`, text);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+}
+
+// Walks the schema and the parsed file together, collecting env var values and
+// every validation error instead of stopping at the first one.
+function flattenConfig(schema, value, where, env, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`${where || "config"}: expected an object`);
+    return;
+  }
+  checkConfigKeys(value, Object.keys(schema), where, errors);
+  for (const [key, node] of Object.entries(schema)) {
+    const child = value[key];
+    const at = where ? `${where}.${key}` : key;
+    if (child === undefined || child === null) continue;
+    if (isConfigLeaf(node)) {
+      try {
+        env.set(node.env, configLeafValue(node, child, at));
+      } catch (err) {
+        errors.push(err.message);
       }
-    })
-  : null;
+    } else if (node.named) {
+      if (!isPlainObject(child)) {
+        errors.push(`${at}: expected an object keyed by name`);
+        continue;
+      }
+      const names = [];
+      for (const [name, entry] of Object.entries(child)) {
+        const entryAt = `${at}.${name}`;
+        if (node.reserved?.[name]) {
+          flattenConfigFields(node.reserved[name], entry, entryAt, "", env, errors);
+          continue;
+        }
+        if (!name.trim() || name.includes(",")) {
+          errors.push(`${entryAt}: names cannot be empty or contain a comma`);
+          continue;
+        }
+        names.push(name);
+        if (node.value) {
+          try {
+            env.set(node.envPrefix(name), configLeafValue(node.value, entry, entryAt));
+          } catch (err) {
+            errors.push(err.message);
+          }
+        } else {
+          flattenConfigFields(node.fields, entry, entryAt, node.envPrefix(name), env, errors);
+        }
+      }
+      if (names.length) env.set(node.named, names.join(","));
+    } else {
+      flattenConfig(node, child, at, env, errors);
+    }
+  }
+}
 
-const projectCache = new Map();
-const githubRepoCache = new Map();
+function findConfigFile(args) {
+  const explicit = typeof args.config === "string" ? args.config : (process.env.VELOCITY_CONFIG || "").trim();
+  if (explicit.toLowerCase() === "none") return null;
+  if (explicit) return path.resolve(explicit);
+  return ["velocity.config.json", "velocity.config.yaml", "velocity.config.yml"]
+    .map(name => path.resolve(name))
+    .find(file => fs.existsSync(file)) || null;
+}
 
-async function getProjectInfo(projectId) {
-  const key = String(projectId);
-  if (projectCache.has(key)) return projectCache.get(key);
+function loadConfigFile(file) {
+  let parsed;
   try {
-    const { data } = await gitlab.get(`/projects/${encodeURIComponent(projectId)}`);
-    projectCache.set(key, data);
-    return data;
+    const text = fs.readFileSync(file, "utf8");
+    parsed = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
   } catch (err) {
-    console.warn(`Unable to fetch project ${projectId}: ${err?.response?.status || err.message}`);
-    projectCache.set(key, null);
-    return null;
+    console.error(`Could not read config file ${file}: ${err.message}`);
+    process.exit(1);
   }
+  const env = new Map();
+  const errors = [];
+  flattenConfig(CONFIG_SCHEMA, parsed ?? {}, "", env, errors);
+  if (errors.length) {
+    console.error(`Invalid config file ${file}:`);
+    errors.forEach(error => console.error(`  ${error}`));
+    process.exit(1);
+  }
+  return env;
 }
 
-function parseCsv(env) {
-  return (process.env[env] || "")
-    .split(",")
-    .map(s => s.trim())
-    .filter(Boolean);
+// Named entries whose secret lives in env (CI secrets) only need it to exist somewhere.
+function checkRequiredConfigEnv(schema, where = "") {
+  const missing = [];
+  for (const [key, node] of Object.entries(schema)) {
+    if (isConfigLeaf(node)) continue;
+    const at = where ? `${where}.${key}` : key;
+    if (!node.named) {
+      missing.push(...checkRequiredConfigEnv(node, at));
+      continue;
+    }
+    for (const name of parseCsvValue(process.env[node.named])) {
+      for (const suffix of node.requiredEnv || []) {
+        const env = `${node.envPrefix(name)}${suffix}`;
+        if (!process.env[env]) missing.push(`${at}.${name}: set ${env} or its value in the config file`);
+      }
+    }
+  }
+  return missing;
 }
 
-async function fetchAllPaged(url, params = {}) {
-  const out = [];
-  let page = 1;
-  while (true) {
-    const { data, headers } = await gitlab.get(url, { params: { per_page: 100, page, ...params } });
-    out.push(...data);
-    const next = headers["x-next-page"];
-    if (!next || next === "0") break;
-    page = Number(next);
+function parseConfigEnv(spec, text) {
+  switch (spec.type) {
+    case "boolean":
+      return text.toLowerCase() === "true";
+    case "integer":
+    case "number":
+      return Number(text);
+    case "numbers":
+      return parseCsvValue(text).map(Number);
+    case "ids":
+      return parseCsvValue(text).map(id => (/^\d+$/.test(id) ? Number(id) : id));
+    case "id":
+      return /^\d+$/.test(text) ? Number(text) : text;
+    case "projectKeys":
+    case "projectRefs":
+    case "repos":
+    case "list":
+    case "regexList":
+    case "sections":
+      return parseCsvValue(text);
+    case "numberMap":
+      return Object.fromEntries(parseCsvValue(text).map(entry => entry.split("=").map(part => part.trim())).map(([key, days]) => [key, Number(days)]));
+    default:
+      return text;
+  }
+}
+
+function maskConfigSecret(spec, text) {
+  if (spec.type === "url") {
+    try {
+      return `${new URL(text).origin}/****`;
+    } catch {
+      return "****";
+    }
+  }
+  return "****";
+}
+
+function resolvedConfigFields(fields, envPrefix) {
+  const out = {};
+  for (const [key, spec] of Object.entries(fields)) {
+    const text = spec.env ? process.env[`${envPrefix}${spec.env}`] : undefined;
+    if (text === undefined || text === "") continue;
+    out[key] = spec.secret ? maskConfigSecret(spec, text) : parseConfigEnv(spec, text);
   }
   return out;
 }
 
-function normalizeRepoName(name) {
-  return (name || "").trim().toLowerCase();
+// The configuration as the run will see it (file plus env overrides), with secrets masked.
+function resolvedConfig(schema) {
+  const out = {};
+  for (const [key, node] of Object.entries(schema)) {
+    let value;
+    if (isConfigLeaf(node)) {
+      const text = process.env[node.env];
+      value = text === undefined || text === "" ? undefined : node.secret ? maskConfigSecret(node, text) : parseConfigEnv(node, text);
+    } else if (node.named) {
+      const entries = Object.entries(node.reserved || {})
+        .map(([name, fields]) => [name, resolvedConfigFields(fields, "")]);
+      for (const name of parseCsvValue(process.env[node.named])) {
+        const prefix = node.envPrefix(name);
+        const text = node.value ? process.env[prefix] : null;
+        entries.push([name, node.value ? (text ? parseConfigEnv(node.value, text) : []) : resolvedConfigFields(node.fields, prefix)]);
+      }
+      value = Object.fromEntries(entries.filter(([, entry]) => !isPlainObject(entry) || Object.keys(entry).length));
+    } else {
+      value = resolvedConfig(node);
+    }
+    if (value !== undefined && !(isPlainObject(value) && !Object.keys(value).length)) out[key] = value;
+  }
+  return out;
 }
 
-async function fetchGithubPaged(path, params = {}, { stop } = {}) {
-  if (!github) return [];
-  const results = [];
-  let page = 1;
-  while (true) {
-    const { data, headers } = await github.get(path, { params: { per_page: 100, page, ...params } });
-    if (!Array.isArray(data) || data.length === 0) break;
-    results.push(...data);
-    if (typeof stop === "function" && stop(data)) break;
-    const link = headers.link || headers.Link;
-    if (!link || !link.includes('rel="next"')) break;
-    page += 1;
+function applyConfig() {
+  const args = parseCliArgs(process.argv.slice(2));
+  const file = findConfigFile(args);
+  const overridden = [];
+  let missing = [];
+  if (file) {
+    for (const [env, text] of loadConfigFile(file)) {
+      if (process.env[env] === undefined || process.env[env] === "") process.env[env] = text;
+      else if (process.env[env] !== text) overridden.push(env);
+    }
+    missing = checkRequiredConfigEnv(CONFIG_SCHEMA);
+  }
+  // --print-config still shows the settings when a secret is missing, so it can be used to debug that.
+  if (args.printConfig) {
+    console.log(JSON.stringify({ file, envOverrides: overridden, missing, config: resolvedConfig(CONFIG_SCHEMA) }, null, 2));
+    process.exit(0);
+  }
+  if (missing.length) {
+    console.error(`Invalid config file ${file}:`);
+    missing.forEach(error => console.error(`  ${error}`));
+    process.exit(1);
   }
-  return results;
 }
 
-async function discoverGithubRepos() {
-  if (!github) return [];
-  const mode = (process.env.GITHUB_DISCOVER_MODE || "org").toLowerCase(); // org | user | mixed
-  const orgs = parseCsv("GITHUB_ORGS");
-  const username = process.env.GITHUB_USER;
-  const includeRegex = process.env.GITHUB_REPO_INCLUDE_REGEX ? new RegExp(process.env.GITHUB_REPO_INCLUDE_REGEX) : null;
-  const excludeRegex = process.env.GITHUB_REPO_EXCLUDE_REGEX ? new RegExp(process.env.GITHUB_REPO_EXCLUDE_REGEX) : null;
-  const extras = parseCsv("GITHUB_EXTRA_REPOS");
-  const excludes = new Set(parseCsv("GITHUB_EXCLUDE_REPOS").map(normalizeRepoName));
+// The settings below are read at import time, so the file has to be applied
+// here rather than in main(). Imports (the tests) never load it.
+if (RUN_AS_CLI) applyConfig();
 
-  const repoMap = new Map();
+// VELOCITY_FIXTURES=record saves every GitLab/GitHub/tracker response under
+// VELOCITY_FIXTURES_DIR; replay answers every request from those files with the
+// recorded clock and writes webhook payloads to VELOCITY_OUTPUT_DIR instead of posting.
+const FIXTURE_MODE = (process.env.VELOCITY_FIXTURES || "").trim().toLowerCase(); // record | replay
+const FIXTURES_DIR = path.resolve(process.env.VELOCITY_FIXTURES_DIR || "fixtures");
+const REPLAY_OUTPUT_DIR = path.resolve(process.env.VELOCITY_OUTPUT_DIR || path.join(FIXTURES_DIR, "output"));
+// Rate-limit waits and cache ages keep real time when the report clock is frozen.
+const wallClock = Date.now;
 
-  const includeRepo = repo => {
-    if (!repo || !repo.full_name) return;
-    const fullName = repo.full_name;
-    const normalized = normalizeRepoName(fullName);
-    if (excludes.has(normalized)) return;
-    if (includeRegex && !includeRegex.test(fullName) && !includeRegex.test(repo.name)) return;
-    if (excludeRegex && (excludeRegex.test(fullName) || excludeRegex.test(repo.name))) return;
-    repoMap.set(normalized, fullName);
-    githubRepoCache.set(normalized, repo);
-  };
+if (FIXTURE_MODE && !["record", "replay"].includes(FIXTURE_MODE)) {
+  console.error(`Invalid VELOCITY_FIXTURES "${FIXTURE_MODE}": use record or replay.`);
+  process.exit(1);
+}
 
-  if ((mode === "org" || mode === "mixed") && orgs.length) {
-    for (const org of orgs) {
-      try {
-        const repos = await fetchGithubPaged(`/orgs/${org}/repos`, { type: "all", sort: "updated" });
-        repos.forEach(includeRepo);
-      } catch (err) {
-        console.warn(`Unable to fetch GitHub org repos for ${org}:`, err?.response?.status || err.message);
-      }
-    }
+function freezeClock(iso) {
+  const frozen = Date.parse(iso);
+  if (!Number.isFinite(frozen)) {
+    console.error(`Invalid clock timestamp: ${iso}`);
+    process.exit(1);
   }
+  const RealDate = Date;
+  globalThis.Date = class extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [frozen]));
+    }
 
-  if (mode === "user" || mode === "mixed") {
+    static now() {
+      return frozen;
+    }
+  };
+}
+
+// Recording stores the run's clock next to the fixtures so a replay rebuilds the same window.
+function loadFixtureClock() {
+  const file = path.join(FIXTURES_DIR, "clock.json");
+  if (FIXTURE_MODE === "replay") {
     try {
-      if (username) {
-        const repos = await fetchGithubPaged(`/users/${username}/repos`, { type: "all", sort: "updated" });
-        repos.forEach(includeRepo);
-      } else {
-        const repos = await fetchGithubPaged("/user/repos", {
-          affiliation: "owner,collaborator,organization_member",
-          sort: "updated",
-          direction: "desc"
-        });
-        repos.forEach(includeRepo);
-      }
+      return JSON.parse(fs.readFileSync(file, "utf8")).now;
     } catch (err) {
-      console.warn("Unable to fetch GitHub user repos:", err?.response?.status || err.message);
+      console.error(`VELOCITY_FIXTURES=replay needs ${file} from a recorded run: ${err.message}`);
+      process.exit(1);
     }
   }
+  const now = process.env.VELOCITY_NOW || new Date().toISOString();
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ now }, null, 2)}\n`);
+  return now;
+}
 
-  for (const extra of extras) {
-    const normalized = normalizeRepoName(extra);
-    if (!extra || excludes.has(normalized)) continue;
-    repoMap.set(normalized, extra);
-  }
+const FROZEN_NOW = FIXTURE_MODE ? loadFixtureClock() : (process.env.VELOCITY_NOW || "").trim();
+if (FROZEN_NOW) freezeClock(FROZEN_NOW);
 
-  for (const excluded of excludes) {
-    repoMap.delete(excluded);
-    githubRepoCache.delete(excluded);
-  }
+const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
+const DISCORD_FORMAT = (process.env.DISCORD_FORMAT || "embeds").toLowerCase(); // embeds | text
+const GITLAB_TOKEN = (process.env.GITLAB_TOKEN || "").trim();
+const DEFAULT_GITLAB_BASE_URL = "https://gitlab.com/api/v4";
 
-  return [...repoMap.values()];
+function normalizeGitlabBaseUrl(url) {
+  const trimmed = (url || "").trim().replace(/\/+$/, "");
+  if (!trimmed) return DEFAULT_GITLAB_BASE_URL;
+  return /\/api\/v4$/.test(trimmed) ? trimmed : `${trimmed}/api/v4`;
 }
 
-async function discoverProjects() {
-  const mode = (process.env.DISCOVER_MODE || "group").toLowerCase(); // group | user | mixed
-  const includeSubgroups = String(process.env.INCLUDE_SUBGROUPS || "true").toLowerCase() === "true";
-  const archived = (process.env.ARCHIVED || "false").toLowerCase() === "true";
-  const visibility = (process.env.VISIBILITY || "").toLowerCase(); // '', 'public', 'internal', 'private'
-  const nameInc = process.env.NAME_INCLUDE_REGEX ? new RegExp(process.env.NAME_INCLUDE_REGEX) : null;
-  const nameExc = process.env.NAME_EXCLUDE_REGEX ? new RegExp(process.env.NAME_EXCLUDE_REGEX) : null;
+function parseCsvValue(value) {
+  return (value || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean);
+}
 
-  const groupIds = parseCsv("GROUP_IDS");
-  const userId = process.env.USER_ID;
+const HTTP_CONCURRENCY = Math.max(1, Number(process.env.HTTP_CONCURRENCY || 8)); // in-flight GitLab, GitHub and tracker requests
+const HTTP_TIMEOUT_MS = Number(process.env.HTTP_TIMEOUT_MS || 30000);
+const HTTP_MAX_RETRIES = FIXTURE_MODE === "replay" ? 0 : Number(process.env.HTTP_MAX_RETRIES || 4);
+const HTTP_BACKOFF_MS = Number(process.env.HTTP_BACKOFF_MS || 1000); // doubled on every retry
+const HTTP_MAX_WAIT_MS = Number(process.env.HTTP_MAX_WAIT_MS || 120000); // longest rate-limit pause honoured
+const RETRYABLE_NETWORK_CODES = ["ECONNABORTED", "ETIMEDOUT", "ECONNRESET", "EAI_AGAIN", "ECONNREFUSED"];
 
-  let projects = [];
+// One scheduler is shared by every GitLab, GitHub and tracker client: it caps in-flight
+// requests and pauses a host once its rate limit is used up.
+const requestScheduler = { active: 0, queue: [], pausedUntil: new Map() };
 
-  if (mode === "group" || mode === "mixed") {
-    for (const gid of groupIds) {
-      const gp = await fetchAllPaged(`/groups/${encodeURIComponent(gid)}/projects`, {
-        include_subgroups: includeSubgroups,
-        archived,
-        simple: true,
-        ...(visibility ? { visibility } : {})
-      });
-      projects.push(...gp);
-    }
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function acquireRequestSlot() {
+  if (requestScheduler.active < HTTP_CONCURRENCY) {
+    requestScheduler.active += 1;
+    return Promise.resolve();
   }
+  return new Promise(resolve => requestScheduler.queue.push(resolve));
+}
 
-  if ((mode === "user" || mode === "mixed") && userId) {
-    const up = await fetchAllPaged(`/users/${encodeURIComponent(userId)}/projects`, {
-      membership: true,
-      archived,
-      simple: true,
-      ...(visibility ? { visibility } : {})
-    });
-    projects.push(...up);
+function releaseRequestSlot() {
+  const next = requestScheduler.queue.shift();
+  if (next) next();
+  else requestScheduler.active -= 1;
+}
+
+function requestHost(config) {
+  try {
+    return new URL(config.url, config.baseURL).host;
+  } catch {
+    return config.baseURL || "";
+  }
+}
+
+// Retry-After (seconds or HTTP date), else the reset time once RateLimit-Remaining
+// (GitLab) or X-RateLimit-Remaining (GitHub) reaches zero.
+function rateLimitDelay(headers = {}) {
+  const retryAfter = headers["retry-after"];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    return Number.isFinite(seconds) ? seconds * 1000 : Math.max(0, Date.parse(retryAfter) - wallClock());
   }
+  const remaining = headers["ratelimit-remaining"] ?? headers["x-ratelimit-remaining"];
+  const reset = Number(headers["ratelimit-reset"] ?? headers["x-ratelimit-reset"]);
+  if (remaining !== undefined && Number(remaining) <= 0 && Number.isFinite(reset)) {
+    return Math.max(0, reset * 1000 - wallClock());
+  }
+  return null;
+}
 
-  let uniq = new Map();
-  for (const p of projects) uniq.set(p.id, p);
+function pauseHost(host, delay) {
+  const until = wallClock() + Math.min(delay, HTTP_MAX_WAIT_MS);
+  if (until > (requestScheduler.pausedUntil.get(host) || 0)) requestScheduler.pausedUntil.set(host, until);
+}
 
-  const filtered = [...uniq.values()].filter(p => {
-    const nameTarget = p.name_with_namespace || p.path_with_namespace || "";
-    const pathTarget = p.path_with_namespace || "";
-    if (nameInc && !nameInc.test(nameTarget) && !nameInc.test(pathTarget)) return false;
-    if (nameExc && (nameExc.test(nameTarget) || nameExc.test(pathTarget))) return false;
-    return true;
+function isRetryableRequestError(err) {
+  const status = err?.response?.status;
+  if (!status) return RETRYABLE_NETWORK_CODES.includes(err?.code);
+  if (status === 429 || (status >= 500 && status !== 501)) return true;
+  // GitHub answers primary and secondary rate limits with 403.
+  return status === 403 && (rateLimitDelay(err.response.headers) !== null || /rate limit/i.test(JSON.stringify(err.response.data || "")));
+}
+
+// Waiting, retries and the slot live in the adapter, below every interceptor, so a
+// retried request passes through the cache and fixture layers only once.
+function scheduledAdapter(adapter) {
+  return async config => {
+    const host = requestHost(config);
+    for (let attempt = 1; ; attempt += 1) {
+      const pausedUntil = requestScheduler.pausedUntil.get(host);
+      if (pausedUntil && pausedUntil > wallClock()) await sleep(pausedUntil - wallClock());
+      await acquireRequestSlot();
+      let response;
+      try {
+        response = await adapter(config);
+      } catch (err) {
+        releaseRequestSlot();
+        if (attempt > HTTP_MAX_RETRIES || !isRetryableRequestError(err)) throw err;
+        const limited = rateLimitDelay(err.response?.headers);
+        if (limited !== null) pauseHost(host, limited);
+        const backoff = HTTP_BACKOFF_MS * 2 ** (attempt - 1) * (1 + Math.random() / 2);
+        await sleep(Math.min(HTTP_MAX_WAIT_MS, limited ?? backoff));
+        continue;
+      }
+      releaseRequestSlot();
+      const delay = rateLimitDelay(response.headers);
+      if (delay) pauseHost(host, delay);
+      return response;
+    }
+  };
+}
+
+function attachRequestScheduler(client) {
+  client.defaults.timeout = HTTP_TIMEOUT_MS;
+  client.interceptors.request.use(config => {
+    config.adapter = scheduledAdapter(axios.getAdapter(config.adapter));
+    return config;
   });
+  return client;
+}
 
-  uniq = new Map(filtered.map(p => [p.id, p]));
-  for (const p of uniq.values()) {
-    projectCache.set(String(p.id), p);
-  }
-  const extras = parseCsv("EXTRA_PROJECT_IDS").map(Number);
-  const excludes = new Set(parseCsv("EXCLUDE_PROJECT_IDS").map(Number));
-  for (const id of extras) if (!excludes.has(id)) uniq.set(id, { id });
-  for (const id of excludes) uniq.delete(id);
+// Fixture runs bypass the cache so recorded and replayed requests are identical.
+const HTTP_CACHE_ENABLED = !FIXTURE_MODE && String(process.env.HTTP_CACHE || "true").toLowerCase() === "true";
+const HTTP_CACHE_DIR = process.env.HTTP_CACHE_DIR || ".velocity-cache";
+const HTTP_CACHE_RETENTION_DAYS = Number(process.env.HTTP_CACHE_RETENTION_DAYS || 14); // entries unused this long are pruned
+const METADATA_TTL_MS = Number(process.env.METADATA_TTL_HOURS || 12) * 3600 * 1000;
+const INCREMENTAL_FETCH = HTTP_CACHE_ENABLED && String(process.env.INCREMENTAL_FETCH || "true").toLowerCase() === "true";
+const INCREMENTAL_OVERLAP_MS = 10 * 60 * 1000; // re-read a little before the mark to absorb clock skew
+const CACHED_RESPONSE_HEADERS = ["link", "x-next-page", "x-page", "x-total", "x-total-pages"];
 
-  return [...uniq.keys()].map(String);
+const responseCache = { fresh: 0, notModified: 0, writeWarned: false };
+
+function responseCacheFile(key) {
+  return path.join(HTTP_CACHE_DIR, "http", `${key}.json`);
 }
 
-function resolveAuthorName(entry) {
-  if (!entry) return "Unknown";
-  return entry.author?.name ||
+function readCacheEntry(key) {
+  try {
+    return JSON.parse(fs.readFileSync(responseCacheFile(key), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`Ignoring unreadable HTTP cache entry ${key}: ${err.message}`);
+    return null;
+  }
+}
+
+function writeCacheEntry(key, entry) {
+  try {
+    fs.mkdirSync(path.join(HTTP_CACHE_DIR, "http"), { recursive: true });
+    fs.writeFileSync(responseCacheFile(key), JSON.stringify(entry));
+  } catch (err) {
+    if (!responseCache.writeWarned) console.warn(`Unable to write HTTP cache in ${HTTP_CACHE_DIR}: ${err.message}`);
+    responseCache.writeWarned = true;
+  }
+}
+
+function touchCacheEntry(key) {
+  try {
+    const now = new Date(wallClock());
+    fs.utimesSync(responseCacheFile(key), now, now);
+  } catch {
+    // A missing entry is simply re-fetched next time.
+  }
+}
+
+function cachedResponse(config, entry) {
+  return { data: entry.data, status: 200, statusText: "OK", headers: { ...entry.headers }, config, request: null, fromCache: true };
+}
+
+// GET responses are stored on disk with their ETag/Last-Modified and revalidated
+// with conditional requests; GitHub does not charge rate limit for a 304.
+// Requests made with `cacheTtlMs` are served straight from disk while fresh.
+function attachResponseCache(client) {
+  if (!HTTP_CACHE_ENABLED) return client;
+  const validateStatus = client.defaults.validateStatus;
+  client.defaults.validateStatus = status => status === 304 || validateStatus(status);
+  client.interceptors.request.use(config => {
+    if ((config.method || "get").toLowerCase() !== "get") return config;
+    const auth = config.headers?.Authorization || config.headers?.["PRIVATE-TOKEN"] || "";
+    config.cacheKey = crypto.createHash("sha1").update(`${client.getUri(config)}\n${auth}`).digest("hex");
+    const entry = readCacheEntry(config.cacheKey);
+    if (!entry) return config;
+    config.cacheEntry = entry;
+    if (config.cacheTtlMs && wallClock() - entry.storedAt < config.cacheTtlMs) {
+      config.adapter = async () => cachedResponse(config, entry);
+      return config;
+    }
+    if (entry.etag) config.headers["If-None-Match"] = entry.etag;
+    if (entry.lastModified) config.headers["If-Modified-Since"] = entry.lastModified;
+    return config;
+  });
+  client.interceptors.response.use(response => {
+    const { config } = response;
+    if (!config?.cacheKey) return response;
+    if (response.fromCache) {
+      responseCache.fresh += 1;
+      touchCacheEntry(config.cacheKey);
+      return response;
+    }
+    if (response.status === 304 && config.cacheEntry) {
+      responseCache.notModified += 1;
+      touchCacheEntry(config.cacheKey);
+      return cachedResponse(config, config.cacheEntry);
+    }
+    const etag = response.headers.etag;
+    const lastModified = response.headers["last-modified"];
+    if (etag || lastModified || config.cacheTtlMs) {
+      const headers = {};
+      for (const name of CACHED_RESPONSE_HEADERS) {
+        if (response.headers[name] !== undefined) headers[name] = response.headers[name];
+      }
+      writeCacheEntry(config.cacheKey, { storedAt: wallClock(), etag, lastModified, headers, data: response.data });
+    }
+    return response;
+  });
+  return client;
+}
+
+function pruneResponseCache() {
+  const dir = path.join(HTTP_CACHE_DIR, "http");
+  const cutoff = wallClock() - HTTP_CACHE_RETENTION_DAYS * 86400000;
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return;
+  }
+  for (const name of names) {
+    try {
+      const file = path.join(dir, name);
+      if (fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file);
+    } catch (err) {
+      console.warn(`Unable to prune HTTP cache entry ${name}: ${err.message}`);
+    }
+  }
+}
+
+// High-water marks remember, per project and list, what the last successful run
+// fetched; the next run only asks for items updated since then and merges them in.
+const highWaterMarks = { file: path.join(HTTP_CACHE_DIR, "high-water.json"), marks: null, pending: {} };
+
+function loadHighWaterMarks() {
+  if (highWaterMarks.marks) return highWaterMarks.marks;
+  try {
+    highWaterMarks.marks = JSON.parse(fs.readFileSync(highWaterMarks.file, "utf8")).marks || {};
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`Unable to read high-water marks ${highWaterMarks.file}: ${err.message}`);
+    highWaterMarks.marks = {};
+  }
+  return highWaterMarks.marks;
+}
+
+const HIGH_WATER_FIELDS = ["id", "iid", "number", "title", "state", "created_at", "updated_at", "merged_at", "closed_at", "web_url", "html_url", "source_branch"];
+const HIGH_WATER_ACTOR_FIELDS = ["id", "name", "username", "login", "type", "email"];
+
+function pickFields(source, fields) {
+  return Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+}
+
+// Marks keep only what the simplify steps read (GitLab MRs/issues, GitHub pulls/issues);
+// descriptions, avatars and API links would grow the file with every project.
+function highWaterItem(item) {
+  const slim = pickFields(item, HIGH_WATER_FIELDS);
+  if (item.author) slim.author = pickFields(item.author, HIGH_WATER_ACTOR_FIELDS);
+  if (item.user) slim.user = pickFields(item.user, HIGH_WATER_ACTOR_FIELDS);
+  if (item.head?.ref) slim.head = { ref: item.head.ref };
+  if (Array.isArray(item.labels)) slim.labels = item.labels.map(label => (typeof label === "string" ? label : { name: label?.name }));
+  return slim;
+}
+
+async function fetchIncremental(key, floorISO, fetchUpdatedSince) {
+  if (!INCREMENTAL_FETCH) return fetchUpdatedSince(floorISO);
+  const mark = loadHighWaterMarks()[key];
+  const startedAt = new Date().toISOString();
+  const floor = Date.parse(floorISO);
+  // Only resume when the stored items cover this run's whole window.
+  const resumable = mark && Date.parse(mark.floor) <= floor && Date.parse(mark.fetchedAt) > floor;
+  const after = resumable ? new Date(Date.parse(mark.fetchedAt) - INCREMENTAL_OVERLAP_MS).toISOString() : floorISO;
+  const merged = new Map(resumable ? mark.items.map(item => [item.id, highWaterItem(item)]) : []);
+  for (const item of await fetchUpdatedSince(after)) merged.set(item.id, highWaterItem(item));
+  const items = [...merged.values()].filter(item => !item.updated_at || Date.parse(item.updated_at) >= floor);
+  highWaterMarks.pending[key] = { floor: floorISO, fetchedAt: startedAt, items };
+  return items;
+}
+
+function saveHighWaterMarks() {
+  if (!INCREMENTAL_FETCH || !Object.keys(highWaterMarks.pending).length) return;
+  const marks = { ...loadHighWaterMarks(), ...highWaterMarks.pending };
+  try {
+    fs.mkdirSync(path.dirname(highWaterMarks.file), { recursive: true });
+    fs.writeFileSync(highWaterMarks.file, JSON.stringify({ version: 1, marks }));
+  } catch (err) {
+    console.warn(`Unable to save high-water marks ${highWaterMarks.file}: ${err.message}`);
+  }
+}
+
+function fixtureFile(method, url, body) {
+  const payload = body === undefined ? "" : `\n${typeof body === "string" ? body : JSON.stringify(body)}`;
+  const hash = crypto.createHash("sha1").update(`${method.toUpperCase()} ${url}${payload}`).digest("hex");
+  return path.join(FIXTURES_DIR, "http", `${hash}.json`);
+}
+
+function recordFixture(response) {
+  const { config } = response;
+  if (!config?.fixtureFile) return;
+  const headers = {};
+  for (const name of CACHED_RESPONSE_HEADERS) {
+    if (response.headers?.[name] !== undefined) headers[name] = response.headers[name];
+  }
+  fs.mkdirSync(path.dirname(config.fixtureFile), { recursive: true });
+  fs.writeFileSync(config.fixtureFile, `${JSON.stringify({
+    method: config.method.toUpperCase(),
+    url: config.fixtureUrl,
+    status: response.status,
+    headers,
+    data: response.data
+  }, null, 2)}\n`);
+}
+
+async function replayFixture(config) {
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(config.fixtureFile, "utf8"));
+  } catch {
+    throw new axios.AxiosError(`No recorded fixture for ${config.method.toUpperCase()} ${config.fixtureUrl}`, "EFIXTURE", config);
+  }
+  const response = { data: fixture.data, status: fixture.status, statusText: String(fixture.status), headers: fixture.headers, config, request: null };
+  if (!config.validateStatus || config.validateStatus(response.status)) return response;
+  const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+  throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+}
+
+// Fixtures are keyed by method, full URL and request body (auth headers are left
+// out), so a replay with placeholder tokens finds the recorded responses.
+function attachFixtures(client) {
+  if (!FIXTURE_MODE) return client;
+  client.interceptors.request.use(config => {
+    if (!config.fixtureFile) {
+      config.fixtureUrl = client.getUri(config);
+      config.fixtureFile = fixtureFile(config.method || "get", config.fixtureUrl, config.data);
+    }
+    if (FIXTURE_MODE === "replay") config.adapter = () => replayFixture(config);
+    return config;
+  });
+  if (FIXTURE_MODE === "record") {
+    client.interceptors.response.use(
+      response => {
+        recordFixture(response);
+        return response;
+      },
+      err => {
+        if (err?.response) recordFixture(err.response);
+        throw err;
+      }
+    );
+  }
+  return client;
+}
+
+const trackerHttp = attachFixtures(attachRequestScheduler(axios.create()));
+
+function createGitlabInstance({ name, baseURL, token, prefix, groupIds, projectIds, userId, discoverMode }) {
+  const apiBase = normalizeGitlabBaseUrl(baseURL);
+  return {
+    name,
+    prefix,
+    baseURL: apiBase,
+    groupIds,
+    projectIds,
+    userId,
+    discoverMode: (discoverMode || "group").toLowerCase(), // group | user | mixed
+    client: attachFixtures(attachResponseCache(attachRequestScheduler(axios.create({
+      baseURL: apiBase,
+      headers: { "PRIVATE-TOKEN": token }
+    }))))
+  };
+}
+
+// The default instance keeps plain numeric project IDs; every named instance
+// from GITLAB_INSTANCES prefixes its IDs with "<name>:" so they never collide.
+function loadGitlabInstances() {
+  const instances = [];
+  if (GITLAB_TOKEN) {
+    instances.push(createGitlabInstance({
+      name: "gitlab",
+      baseURL: process.env.GITLAB_BASE_URL,
+      token: GITLAB_TOKEN,
+      prefix: "",
+      groupIds: parseCsvValue(process.env.GROUP_IDS),
+      projectIds: parseCsvValue(process.env.GITLAB_PROJECT_IDS),
+      userId: process.env.USER_ID,
+      discoverMode: process.env.DISCOVER_MODE
+    }));
+  }
+  for (const rawName of parseCsvValue(process.env.GITLAB_INSTANCES)) {
+    const name = rawName.toLowerCase();
+    const envKey = `GITLAB_${rawName.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+    const token = (process.env[`${envKey}_TOKEN`] || "").trim();
+    const baseURL = process.env[`${envKey}_BASE_URL`];
+    if (!token || !baseURL) {
+      console.warn(`Skipping GitLab instance "${rawName}": set ${envKey}_BASE_URL and ${envKey}_TOKEN.`);
+      continue;
+    }
+    instances.push(createGitlabInstance({
+      name,
+      baseURL,
+      token,
+      prefix: `${name}:`,
+      groupIds: parseCsvValue(process.env[`${envKey}_GROUP_IDS`]),
+      projectIds: parseCsvValue(process.env[`${envKey}_PROJECT_IDS`]),
+      userId: process.env[`${envKey}_USER_ID`],
+      discoverMode: process.env[`${envKey}_DISCOVER_MODE`] || process.env.DISCOVER_MODE
+    }));
+  }
+  return instances;
+}
+
+const gitlabInstances = loadGitlabInstances();
+
+// DISCORD_WEBHOOK_URL stays the default destination; DESTINATIONS adds named ones,
+// each configured through DESTINATION_<NAME>_TYPE / _URL / _SECTIONS / _FORMAT.
+function loadDestinations() {
+  const destinations = [];
+  if (DISCORD_WEBHOOK_URL) {
+    destinations.push({
+      name: "discord",
+      type: "discord",
+      url: DISCORD_WEBHOOK_URL,
+      format: DISCORD_FORMAT,
+      sections: parseCsvValue(process.env.DISCORD_SECTIONS).map(id => id.toLowerCase())
+    });
+  }
+  for (const rawName of parseCsvValue(process.env.DESTINATIONS)) {
+    const envKey = `DESTINATION_${rawName.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+    const type = (process.env[`${envKey}_TYPE`] || "").trim().toLowerCase();
+    const url = (process.env[`${envKey}_URL`] || "").trim();
+    if (!OUTPUT_TYPES.includes(type) || !url) {
+      console.warn(`Skipping destination "${rawName}": set ${envKey}_TYPE (${OUTPUT_TYPES.join(" | ")}) and ${envKey}_URL.`);
+      continue;
+    }
+    destinations.push({
+      name: rawName.toLowerCase(),
+      type,
+      url,
+      format: (process.env[`${envKey}_FORMAT`] || DISCORD_FORMAT).toLowerCase(),
+      sections: parseCsvValue(process.env[`${envKey}_SECTIONS`]).map(id => id.toLowerCase())
+    });
+  }
+  return destinations;
+}
+
+const destinations = loadDestinations();
+
+const TRACKER_TYPES = ["jira", "linear", "generic"];
+const DEFAULT_TRACKER_PATTERN = "\\b[A-Z][A-Z0-9]+-\\d+\\b";
+const TRACKER_FETCH_LIMIT = Number(process.env.TRACKER_FETCH_LIMIT || 100); // ticket metadata lookups per run
+
+// TRACKERS names the issue trackers whose keys (PROJ-123) are linked in the report,
+// each configured through TRACKER_<NAME>_TYPE / _PATTERN / _URL, plus _TOKEN (and
+// _USER / _API_URL) when ticket metadata should be fetched.
+function loadTrackers() {
+  const trackers = [];
+  for (const rawName of parseCsvValue(process.env.TRACKERS)) {
+    const envKey = `TRACKER_${rawName.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+    const name = rawName.toLowerCase();
+    const type = (process.env[`${envKey}_TYPE`] || (TRACKER_TYPES.includes(name) ? name : "generic")).trim().toLowerCase();
+    const urlTemplate = (process.env[`${envKey}_URL`] || "").trim();
+    if (!TRACKER_TYPES.includes(type) || !urlTemplate.includes("{key}")) {
+      console.warn(`Skipping tracker "${rawName}": set ${envKey}_TYPE (${TRACKER_TYPES.join(" | ")}) and ${envKey}_URL containing {key}.`);
+      continue;
+    }
+    let pattern;
+    try {
+      pattern = new RegExp(process.env[`${envKey}_PATTERN`] || DEFAULT_TRACKER_PATTERN, "g");
+    } catch (err) {
+      console.warn(`Skipping tracker "${rawName}": invalid ${envKey}_PATTERN (${err.message}).`);
+      continue;
+    }
+    const token = (process.env[`${envKey}_TOKEN`] || "").trim();
+    let apiUrl = (process.env[`${envKey}_API_URL`] || (type === "linear" ? "https://api.linear.app/graphql" : "")).trim().replace(/\/+$/, "");
+    if (!apiUrl && type === "jira" && token) {
+      // Jira Cloud serves the REST API from the same host as the browse links.
+      try {
+        apiUrl = new URL(urlTemplate.replace(/\{key\}/g, "KEY-1")).origin;
+      } catch {
+        console.warn(`Skipping tracker "${rawName}": set ${envKey}_API_URL, ${envKey}_URL is not an absolute URL.`);
+        continue;
+      }
+    }
+    trackers.push({
+      name,
+      type,
+      pattern,
+      urlTemplate,
+      apiUrl,
+      token,
+      user: (process.env[`${envKey}_USER`] || "").trim()
+    });
+  }
+  return trackers;
+}
+
+const trackers = loadTrackers();
+
+function ticketUrl(ticket) {
+  return ticket.tracker.urlTemplate.replace(/\{key\}/g, encodeURIComponent(ticket.key));
+}
+
+function matchTicketKeys(tracker, text, ignoreCase = false) {
+  const source = ignoreCase ? String(text || "").toUpperCase() : String(text || "");
+  return [...source.matchAll(new RegExp(tracker.pattern.source, "g"))].map(match => match[0]);
+}
+
+// Keys from titles, commit messages and MR source branches. Linear lowercases the
+// keys in its branch names, so those are matched case-insensitively.
+function ticketKeysFor(item) {
+  if (!trackers.length || !item) return [];
+  const tickets = new Map();
+  for (const tracker of trackers) {
+    const keys = [
+      ...matchTicketKeys(tracker, item.title),
+      ...matchTicketKeys(tracker, item.message),
+      ...matchTicketKeys(tracker, item.source_branch, tracker.type === "linear")
+    ];
+    for (const key of keys) {
+      if (!tickets.has(key)) tickets.set(key, { key, tracker });
+    }
+  }
+  return [...tickets.values()];
+}
+
+function formatTicketLinks(item) {
+  const tickets = ticketKeysFor(item);
+  return tickets.length ? ` · 🎫 ${tickets.map(ticket => `[${ticket.key}](${ticketUrl(ticket)})`).join(", ")}` : "";
+}
+
+async function fetchJiraTicket(tracker, key) {
+  const auth = tracker.user
+    ? { auth: { username: tracker.user, password: tracker.token } }
+    : { headers: { Authorization: `Bearer ${tracker.token}` } };
+  const { data } = await trackerHttp.get(`${tracker.apiUrl}/rest/api/2/issue/${encodeURIComponent(key)}`, {
+    params: { fields: "summary,status,parent" },
+    ...auth
+  });
+  const parent = data?.fields?.parent;
+  return {
+    title: data?.fields?.summary || null,
+    status: data?.fields?.status?.name || null,
+    epic: parent ? { key: parent.key, title: parent.fields?.summary || parent.key, url: ticketUrl({ key: parent.key, tracker }) } : null
+  };
+}
+
+async function fetchLinearTicket(tracker, key) {
+  const { data } = await trackerHttp.post(tracker.apiUrl, {
+    query: "query($id: String!) { issue(id: $id) { title state { name } project { name url } } }",
+    variables: { id: key }
+  }, { headers: { Authorization: tracker.token } });
+  const issue = data?.data?.issue;
+  return {
+    title: issue?.title || null,
+    status: issue?.state?.name || null,
+    epic: issue?.project ? { key: issue.project.name, title: issue.project.name, url: issue.project.url || null } : null
+  };
+}
+
+// Optional: with a tracker token, ticket titles and their epic (Jira parent, Linear project) are looked up.
+async function fetchTicketMetadata(items) {
+  const tickets = new Map();
+  for (const item of items) {
+    for (const ticket of ticketKeysFor(item)) {
+      if (ticket.tracker.token && ticket.tracker.type !== "generic" && !tickets.has(ticket.key)) tickets.set(ticket.key, ticket);
+    }
+  }
+  const entries = [...tickets.values()].map(ticket => ({ ...ticket }));
+  await attachItemDetails(entries, "metadata", "tracker tickets", ticket =>
+    ticket.tracker.type === "jira" ? fetchJiraTicket(ticket.tracker, ticket.key) : fetchLinearTicket(ticket.tracker, ticket.key),
+    TRACKER_FETCH_LIMIT
+  );
+  return new Map(entries.filter(entry => entry.metadata).map(entry => [entry.key, entry.metadata]));
+}
+
+// "*" matches within one path segment, "**" across segments.
+function globToRegExp(pattern) {
+  const source = pattern
+    .trim()
+    .toLowerCase()
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*\*\//g, "\u0001")
+    .replace(/\*\*/g, "\u0000")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]")
+    .replace(/\u0000/g, ".*")
+    .replace(/\u0001/g, "(?:.*/)?");
+  return new RegExp(`^${source}$`);
+}
+
+function toLowerList(value) {
+  return (Array.isArray(value) ? value : parseCsvValue(value)).map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+// CLIENT_GROUPS_FILE points at a JSON file of named client groups. Each group
+// selects projects by ID, GitHub repo or namespace pattern and gets its own
+// report and destination; the default destinations keep the full rollup.
+function loadClientGroups() {
+  const file = (process.env.CLIENT_GROUPS_FILE || "").trim();
+  if (!file) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  } catch (err) {
+    console.error(`Could not read CLIENT_GROUPS_FILE ${file}: ${err.message}`);
+    process.exit(1);
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.groups;
+  if (!Array.isArray(entries)) {
+    console.error(`CLIENT_GROUPS_FILE ${file} must contain a "groups" array.`);
+    process.exit(1);
+  }
+  const groups = [];
+  for (const entry of entries) {
+    const name = String(entry?.name || "").trim();
+    if (!name) {
+      console.warn(`Skipping client group without a name in ${file}.`);
+      continue;
+    }
+    const projectIds = toLowerList(entry.projectIds);
+    const githubRepos = toLowerList(entry.githubRepos);
+    const namespaces = toLowerList(entry.namespaces);
+    const type = String(entry.type || "discord").trim().toLowerCase();
+    const url = String(entry.webhook || (entry.webhookEnv ? process.env[entry.webhookEnv] : "") || "").trim();
+    if (!projectIds.length && !githubRepos.length && !namespaces.length) {
+      console.warn(`Skipping client group "${name}": list projectIds, githubRepos or namespaces.`);
+      continue;
+    }
+    if (!OUTPUT_TYPES.includes(type) || !url) {
+      console.warn(`Skipping client group "${name}": set webhook (or webhookEnv) and a type of ${OUTPUT_TYPES.join(" | ")}.`);
+      continue;
+    }
+    groups.push({
+      name,
+      title: String(entry.title || `${name} Engineering Velocity`),
+      labels: {
+        internal: entry.labels?.internal || process.env.ORG_LABEL_INTERNAL || "Internal",
+        client: entry.labels?.client || name
+      },
+      projectIds: new Set(projectIds),
+      githubRepos: new Set(githubRepos),
+      namespaces: namespaces.map(globToRegExp),
+      destination: {
+        name: `client:${name.toLowerCase()}`,
+        type,
+        url,
+        format: String(entry.format || DISCORD_FORMAT).toLowerCase(),
+        sections: toLowerList(entry.sections)
+      }
+    });
+  }
+  return groups;
+}
+
+const clientGroups = loadClientGroups();
+
+// IDENTITY_MAP_FILE lists people and their aliases (display names, emails,
+// GitLab usernames, GitHub logins) so every alias counts as one contributor.
+function loadIdentityMap() {
+  const file = (process.env.IDENTITY_MAP_FILE || "").trim();
+  if (!file) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  } catch (err) {
+    console.error(`Could not read IDENTITY_MAP_FILE ${file}: ${err.message}`);
+    process.exit(1);
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.people;
+  if (!Array.isArray(entries)) {
+    console.error(`IDENTITY_MAP_FILE ${file} must contain a "people" array.`);
+    process.exit(1);
+  }
+  const people = new Map();
+  for (const entry of entries) {
+    const name = String(entry?.name || "").trim();
+    if (!name) {
+      console.warn(`Skipping identity without a name in ${file}.`);
+      continue;
+    }
+    const keys = [
+      ...toLowerList(entry.aliases).map(alias => `name:${alias}`),
+      ...toLowerList(entry.emails).map(email => `email:${email}`),
+      ...toLowerList(entry.gitlab).map(username => `gitlab:${username}`),
+      ...toLowerList(entry.github).map(login => `github:${login}`),
+      `name:${name.toLowerCase()}`
+    ];
+    for (const key of keys) {
+      if (people.has(key) && people.get(key) !== name) {
+        console.warn(`Identity alias ${key} is listed for both ${people.get(key)} and ${name}; keeping ${people.get(key)}.`);
+        continue;
+      }
+      people.set(key, name);
+    }
+  }
+  return people;
+}
+
+const identityMap = loadIdentityMap();
+
+const COMMIT_EXCLUDE_MERGES = String(process.env.COMMIT_EXCLUDE_MERGES || "true").toLowerCase() === "true";
+// Cherry-picks get a new SHA, so they can only be matched on title + author + authored time.
+const COMMIT_DEDUPE_CHERRY_PICKS = String(process.env.COMMIT_DEDUPE_CHERRY_PICKS || "false").toLowerCase() === "true";
+
+const DIFF_STATS_ENABLED = String(process.env.DIFF_STATS || "false").toLowerCase() === "true"; // one request per commit/MR
+const DIFF_STATS_MAX_COMMITS = Number(process.env.DIFF_STATS_MAX_COMMITS || 200); // per project and window
+const DEFAULT_DIFF_EXCLUDE_GLOBS = [
+  "package-lock.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "Gemfile.lock",
+  "poetry.lock",
+  "Cargo.lock",
+  "composer.lock",
+  "go.sum",
+  "*.min.js",
+  "*.min.css",
+  "*.map",
+  "**/dist/**",
+  "**/vendor/**",
+  "**/__snapshots__/**"
+];
+// Patterns without a "/" match the file name in any directory.
+const DIFF_EXCLUDE_GLOBS = (process.env.DIFF_EXCLUDE_GLOBS !== undefined
+  ? parseCsvValue(process.env.DIFF_EXCLUDE_GLOBS)
+  : DEFAULT_DIFF_EXCLUDE_GLOBS
+).map(pattern => ({ basename: !pattern.includes("/"), regex: globToRegExp(pattern) }));
+const LARGE_CHANGE_LINES = Number(process.env.LARGE_CHANGE_LINES || 1000);
+const LARGE_CHANGE_FILES = Number(process.env.LARGE_CHANGE_FILES || 50);
+
+const REVIEW_METRICS_ENABLED = String(process.env.REVIEW_METRICS || "true").toLowerCase() === "true";
+
+const OPEN_MR_AGING_ENABLED = String(process.env.OPEN_MR_AGING || "true").toLowerCase() === "true";
+// Age buckets in days, e.g. "2,7,30" -> >2d, >7d, >30d.
+const OPEN_MR_AGE_DAYS = parseCsvValue(process.env.OPEN_MR_AGE_DAYS || "2,7,30")
+  .map(Number)
+  .filter(days => Number.isFinite(days) && days >= 0)
+  .sort((a, b) => a - b);
+const OPEN_MR_HIGHLIGHT_LIMIT = Number(process.env.OPEN_MR_HIGHLIGHT_LIMIT || 8);
+
+const PIPELINE_HEALTH_ENABLED = String(process.env.PIPELINE_HEALTH || "true").toLowerCase() === "true";
+const PIPELINE_DETAIL_LIMIT = Number(process.env.PIPELINE_DETAIL_LIMIT || 50); // job lookups per project
+
+const DORA_METRICS = (process.env.DORA_METRICS || "digest").toLowerCase(); // digest | always | off
+const DORA_ENVIRONMENT = process.env.DORA_ENVIRONMENT || "production";
+const DORA_DEPLOY_SOURCE = (process.env.DORA_DEPLOY_SOURCE || "auto").toLowerCase(); // auto | deployments | releases
+const DORA_INCIDENT_LABELS = toLowerList(process.env.DORA_INCIDENT_LABELS || "incident,hotfix");
+const DORA_FAILURE_WINDOW_HOURS = Number(process.env.DORA_FAILURE_WINDOW_HOURS || 48);
+// ISSUE_CATEGORIES lists categories in precedence order; ISSUE_LABELS_<CATEGORY> sets the labels for each.
+const DEFAULT_ISSUE_CATEGORY_LABELS = {
+  bug: "bug,defect,regression",
+  feature: "feature,enhancement,feature request",
+  chore: "chore,maintenance,tech-debt,refactor,docs,documentation",
+  security: "security,vulnerability"
+};
+const ISSUE_CATEGORY_LABELS = toLowerList(process.env.ISSUE_CATEGORIES || "bug,feature,chore,security").map(category => ({
+  category,
+  labels: toLowerList(
+    process.env[`ISSUE_LABELS_${category.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`] ||
+      DEFAULT_ISSUE_CATEGORY_LABELS[category] ||
+      category
+  )
+}));
+const ISSUE_UNLABELLED_CATEGORY = (process.env.ISSUE_UNLABELLED_AS || "other").trim().toLowerCase();
+const ISSUE_RANK_SCOPES = toLowerList(process.env.ISSUE_RANK_SCOPES || "severity,priority");
+const LABEL_SCOPE_PATTERN = /::|:|\//;
+const BACKLOG_HEALTH_ENABLED = String(process.env.BACKLOG_HEALTH || "true").toLowerCase() === "true";
+const BACKLOG_AGE_DAYS = parseCsvValue(process.env.BACKLOG_AGE_DAYS || "7,30,90")
+  .map(Number)
+  .filter(days => Number.isFinite(days) && days > 0)
+  .sort((a, b) => a - b);
+const BACKLOG_UNTRIAGED_LABELS = toLowerList(process.env.BACKLOG_UNTRIAGED_LABELS || "needs-triage,triage");
+// Days an issue may stay open per priority/severity value, e.g. "critical=1,high=7,p1=1".
+const ISSUE_SLA_DAYS = new Map(
+  parseCsvValue(process.env.ISSUE_SLA_DAYS || "critical=1,high=7,medium=30,p1=1,p2=7,p3=30")
+    .map(entry => entry.split("=").map(part => part.trim()))
+    .filter(([key, days]) => key && days && Number.isFinite(Number(days)))
+    .map(([key, days]) => [key.toLowerCase(), Number(days)])
+);
+const ISSUE_SLA_LIMIT = Number(process.env.ISSUE_SLA_LIMIT || 10);
+const CONVENTIONAL_COMMITS_ENABLED = String(process.env.CONVENTIONAL_COMMITS || "true").toLowerCase() === "true";
+const CONVENTIONAL_TYPES = toLowerList(process.env.CONVENTIONAL_TYPES || "feat,fix,perf,refactor,docs,test,build,ci,chore,style,revert");
+const CHANGELOG_LIMIT = Number(process.env.CHANGELOG_LIMIT || 10); // entries per type and repo
+const MILESTONES_ENABLED = String(process.env.MILESTONES || "true").toLowerCase() === "true";
+const MILESTONE_LIMIT = Number(process.env.MILESTONE_LIMIT || 8);
+const MILESTONE_RATE_DAYS = Number(process.env.MILESTONE_RATE_DAYS || 14); // close-rate lookback for projections
+const RELEASE_TRACKING_ENABLED = String(process.env.RELEASE_TRACKING || "true").toLowerCase() === "true";
+const RELEASE_NOTES_EXCERPT = Number(process.env.RELEASE_NOTES_EXCERPT || 140); // characters, 0 hides notes
+const RELEASE_HIGHLIGHT_LIMIT = Number(process.env.RELEASE_HIGHLIGHT_LIMIT || 10);
+const ALERT_INACTIVE = String(process.env.ALERT_INACTIVE_REPOS || "true").toLowerCase() === "true";
+const STALE_THRESHOLD_DAYS = Number(process.env.ALERT_STALE_THRESHOLD_DAYS || 120); // repos idle longer than this count as stale
+const NEW_REPO_THRESHOLD_DAYS = Number(process.env.ALERT_NEW_REPO_DAYS || 30);
+
+const BOT_FILTER_ENABLED = String(process.env.BOT_FILTER || "true").toLowerCase() === "true";
+// Matched case-insensitively against author names, usernames and emails.
+const DEFAULT_BOT_PATTERNS = [
+  "\\[bot\\]",
+  "^renovate",
+  "^dependabot",
+  "^gitlab-bot$",
+  "^github-actions",
+  "^semantic-release",
+  "^(project|group)_\\d+_bot",
+  "[-_. ]bot$",
+  "^bot@"
+];
+
+function loadBotPatterns() {
+  const patterns = [];
+  for (const source of [...DEFAULT_BOT_PATTERNS, ...parseCsvValue(process.env.BOT_AUTHOR_PATTERNS)]) {
+    try {
+      patterns.push(new RegExp(source, "i"));
+    } catch (err) {
+      console.warn(`Ignoring invalid BOT_AUTHOR_PATTERNS entry "${source}": ${err.message}`);
+    }
+  }
+  return patterns;
+}
+
+const BOT_PATTERNS = loadBotPatterns();
+
+if ((!destinations.length && !clientGroups.length) || !gitlabInstances.length) {
+  console.error("Missing DISCORD_WEBHOOK_URL (or a DESTINATIONS entry or CLIENT_GROUPS_FILE) or GITLAB_TOKEN (or a GITLAB_INSTANCES entry).");
+  process.exit(1);
+}
+
+for (const destination of [...destinations, ...clientGroups.map(group => group.destination)]) {
+  const unknown = destination.sections.filter(id => !REPORT_SECTION_IDS.includes(id));
+  if (unknown.length) {
+    console.warn(`Destination "${destination.name}" lists unknown sections: ${unknown.join(", ")} (known: ${REPORT_SECTION_IDS.join(", ")}).`);
+  }
+}
+
+const REPORT_TZ = process.env.REPORT_TZ || "Asia/Kolkata";
+const CLI_ARGS = parseCliArgs(process.argv.slice(2));
+// DAILY | TODAY | LAST24H | WEEKLY | MONTHLY | SPRINT | CUSTOM (implied by --since)
+const WINDOW_MODE = (CLI_ARGS.since ? "CUSTOM" : process.env.WINDOW_MODE || "DAILY").toUpperCase();
+// Weekly/monthly/sprint/custom windows are digests; daily reports skip DORA unless DORA_METRICS=always.
+const DORA_ENABLED = DORA_METRICS === "always" ||
+  (DORA_METRICS === "digest" && ["WEEKLY", "MONTHLY", "SPRINT", "CUSTOM"].includes(WINDOW_MODE));
+const DIGEST_PERIOD = (process.env.DIGEST_PERIOD || "previous").toLowerCase(); // previous | current
+const WEEK_START_DAY = Number(process.env.WEEK_START_DAY || 1); // 0 = Sunday, 1 = Monday
+const SPRINT_START_DATE = (process.env.SPRINT_START_DATE || "").trim();
+const SPRINT_LENGTH_DAYS = Number(process.env.SPRINT_LENGTH_DAYS || 14);
+const REPORT_TITLE = process.env.REPORT_TITLE || "GitLab Engineering Team Velocity";
+const ORG_LABEL_INTERNAL = process.env.ORG_LABEL_INTERNAL || "Internal";
+const ORG_LABEL_CLIENT = process.env.ORG_LABEL_CLIENT || "Client";
+const CLIENT_PROJECT_IDS = (process.env.CLIENT_PROJECT_IDS || "")
+  .split(",").map(s => s.trim()).filter(Boolean);
+const CLIENT_PROJECT_ID_SET = new Set(
+  CLIENT_PROJECT_IDS.map(id => id.toLowerCase())
+);
+
+const HISTORY_ENABLED = String(process.env.HISTORY_ENABLED || "true").toLowerCase() === "true";
+const HISTORY_FILE = path.resolve(process.env.HISTORY_FILE || "velocity-history.json");
+const HISTORY_RETENTION_DAYS = Number(process.env.HISTORY_RETENTION_DAYS || 90);
+
+// Accepts "--name value" and "--name=value"; bare flags become true.
+function parseCliArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) continue;
+    const key = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (match[2] !== undefined) {
+      args[key] = match[2];
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      args[key] = argv[i + 1];
+      i += 1;
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+function parseWindowDate(value, flag, endOfDay) {
+  if (typeof value !== "string" || !value.trim()) {
+    throw new Error(`${flag} needs a date (YYYY-MM-DD or ISO timestamp).`);
+  }
+  const trimmed = value.trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(trimmed);
+  const parsed = dateOnly ? dayjs.tz(trimmed, REPORT_TZ) : dayjs(trimmed).tz(REPORT_TZ);
+  if (!parsed.isValid() || (dateOnly && parsed.format("YYYY-MM-DD") !== trimmed)) {
+    throw new Error(`Invalid ${flag} date: ${value}`);
+  }
+  if (dateOnly) {
+    return endOfDay ? parsed.endOf("day") : parsed.startOf("day");
+  }
+  return parsed;
+}
+
+function formatRangeLabel(s, u) {
+  const sameYear = s.year() === u.year();
+  return `${s.format(sameYear ? "MMM D" : "MMM D, YYYY")} – ${u.format("MMM D, YYYY")}`;
+}
+
+// Digest windows (WEEKLY/MONTHLY/SPRINT) cover the last completed period by
+// default; DIGEST_PERIOD=current reports the period in progress up to now.
+function computeDigestWindow(now, mode) {
+  const current = DIGEST_PERIOD === "current";
+  let start, length, label;
+  if (mode === "WEEKLY") {
+    const offset = (now.day() - WEEK_START_DAY + 7) % 7;
+    start = now.subtract(offset, "day").startOf("day");
+    if (!current) start = start.subtract(7, "day");
+    length = { value: 7, unit: "day" };
+  } else if (mode === "MONTHLY") {
+    start = now.startOf("month");
+    if (!current) start = start.subtract(1, "month");
+    length = { value: 1, unit: "month" };
+    label = start.format("MMMM YYYY");
+  } else {
+    if (!SPRINT_START_DATE) throw new Error("WINDOW_MODE=SPRINT requires SPRINT_START_DATE (YYYY-MM-DD).");
+    if (!(SPRINT_LENGTH_DAYS > 0)) throw new Error("SPRINT_LENGTH_DAYS must be a positive number.");
+    const anchor = parseWindowDate(SPRINT_START_DATE, "SPRINT_START_DATE", false);
+    let index = Math.floor(now.diff(anchor, "day", true) / SPRINT_LENGTH_DAYS);
+    if (!current) index -= 1;
+    start = anchor.add(index * SPRINT_LENGTH_DAYS, "day");
+    length = { value: SPRINT_LENGTH_DAYS, unit: "day" };
+    label = `Sprint ${index + 1}`;
+  }
+  const end = start.add(length.value, length.unit).subtract(1, "millisecond");
+  const until = current && end.isAfter(now) ? now : end;
+  const range = formatRangeLabel(start, end);
+  return {
+    since: start.toDate(),
+    until: until.toDate(),
+    label: label ? `${label} (${range})` : range,
+    mode,
+    digest: true
+  };
+}
+
+function computeWindow(now = dayjs().tz(REPORT_TZ), mode = WINDOW_MODE) {
+  if (mode === "LAST24H") {
+    return { since: now.subtract(24, "hour").toDate(), until: now.toDate(), label: "Last 24h", mode, digest: false };
+  }
+  if (mode === "TODAY") {
+    const s = now.startOf("day"), u = now.endOf("day");
+    return { since: s.toDate(), until: u.toDate(), label: s.format("MMMM D, YYYY"), mode, digest: false };
+  }
+  if (mode === "WEEKLY" || mode === "MONTHLY" || mode === "SPRINT") {
+    return computeDigestWindow(now, mode);
+  }
+  if (mode === "CUSTOM") {
+    const s = parseWindowDate(CLI_ARGS.since, "--since", false);
+    const u = CLI_ARGS.until ? parseWindowDate(CLI_ARGS.until, "--until", true) : now;
+    if (!u.isAfter(s)) throw new Error("--until must be later than --since.");
+    return { since: s.toDate(), until: u.toDate(), label: formatRangeLabel(s, u), mode, digest: true };
+  }
+  const s = now.subtract(1, "day").startOf("day");
+  const u = now.subtract(1, "day").endOf("day");
+  return { since: s.toDate(), until: u.toDate(), label: s.format("MMMM D, YYYY"), mode: "DAILY", digest: false };
+}
+
+const GITHUB_TOKEN = (process.env.GITHUB_TOKEN || "").trim();
+const GITHUB_BACKEND = (process.env.GITHUB_BACKEND || "rest").toLowerCase(); // rest | graphql
+const GITHUB_GRAPHQL_BATCH = Math.max(1, Number(process.env.GITHUB_GRAPHQL_BATCH || 10)); // repos per GraphQL query
+const github = GITHUB_TOKEN
+  ? attachFixtures(attachResponseCache(attachRequestScheduler(axios.create({
+      baseURL: "https://api.github.com",
+      headers: {
+        Authorization: `token ${GITHUB_TOKEN}`,
+        "User-Agent": "aquarious-velocity-bot",
+        Accept: "application/vnd.github+json"
+      }
+    }))))
+  : null;
+
+// Without any project source every run posts an empty report, which is what a CI job
+// looks like when its settings never reached it (no config file, unforwarded secrets).
+function hasProjectSource() {
+  if (parseCsv("EXTRA_PROJECT_IDS").length) return true;
+  if (gitlabInstances.some(instance => instance.groupIds.length || instance.projectIds.length || instance.userId)) return true;
+  if (!github) return false;
+  const mode = (process.env.GITHUB_DISCOVER_MODE || "org").toLowerCase();
+  return mode !== "org" || ["GITHUB_REPOS", "GITHUB_ORGS", "GITHUB_EXTRA_REPOS"].some(env => parseCsv(env).length);
+}
+
+if (!hasProjectSource()) {
+  console.error("No projects to report on: set GROUP_IDS, GITLAB_PROJECT_IDS or USER_ID (or GITHUB_REPOS / GITHUB_ORGS), in the environment or under sources in velocity.config.yaml.");
+  process.exit(1);
+}
+
+const projectCache = new Map();
+const githubRepoCache = new Map();
+
+function gitlabProjectKey(instance, projectId) {
+  return `${instance.prefix}${projectId}`;
+}
+
+async function getProjectInfo(instance, projectId) {
+  const key = gitlabProjectKey(instance, projectId);
+  if (projectCache.has(key)) return projectCache.get(key);
+  try {
+    const { data } = await instance.client.get(`/projects/${encodeURIComponent(projectId)}`, { cacheTtlMs: METADATA_TTL_MS });
+    projectCache.set(key, data);
+    return data;
+  } catch (err) {
+    console.warn(`Unable to fetch project ${key}: ${err?.response?.status || err.message}`);
+    projectCache.set(key, null);
+    return null;
+  }
+}
+
+function parseCsv(env) {
+  return parseCsvValue(process.env[env]);
+}
+
+async function fetchAllPaged(instance, url, params = {}, { cacheTtlMs, stop } = {}) {
+  const out = [];
+  let page = 1;
+  while (true) {
+    const { data, headers } = await instance.client.get(url, { params: { per_page: 100, page, ...params }, cacheTtlMs });
+    out.push(...data);
+    if (typeof stop === "function" && stop(data)) break;
+    const next = headers["x-next-page"];
+    if (!next || next === "0") break;
+    page = Number(next);
+  }
+  return out;
+}
+
+function normalizeRepoName(name) {
+  return (name || "").trim().toLowerCase();
+}
+
+async function fetchGithubPaged(path, params = {}, { stop, cacheTtlMs } = {}) {
+  if (!github) return [];
+  const results = [];
+  let page = 1;
+  while (true) {
+    const { data, headers } = await github.get(path, { params: { per_page: 100, page, ...params }, cacheTtlMs });
+    if (!Array.isArray(data) || data.length === 0) break;
+    results.push(...data);
+    if (typeof stop === "function" && stop(data)) break;
+    const link = headers.link || headers.Link;
+    if (!link || !link.includes('rel="next"')) break;
+    page += 1;
+  }
+  return results;
+}
+
+function isExcludedDiffPath(filePath) {
+  const normalized = String(filePath || "").toLowerCase();
+  const basename = normalized.split("/").pop();
+  return DIFF_EXCLUDE_GLOBS.some(glob => glob.regex.test(glob.basename ? basename : normalized));
+}
+
+function countDiffLines(diff) {
+  let additions = 0;
+  let deletions = 0;
+  for (const line of String(diff || "").split("\n")) {
+    if (line.startsWith("+++") || line.startsWith("---")) continue;
+    if (line.startsWith("+")) additions += 1;
+    else if (line.startsWith("-")) deletions += 1;
+  }
+  return { additions, deletions };
+}
+
+// files: [{ path, additions, deletions }] -> totals without generated files and lockfiles.
+function summarizeFileChanges(files) {
+  const kept = files.filter(file => !isExcludedDiffPath(file.path));
+  return {
+    additions: kept.reduce((sum, file) => sum + (file.additions || 0), 0),
+    deletions: kept.reduce((sum, file) => sum + (file.deletions || 0), 0),
+    files: kept.length,
+    excludedFiles: files.length - kept.length
+  };
+}
+
+// GitLab sends an empty `diff` for files flagged too_large or collapsed, so their
+// lines cannot be counted from the patch.
+function gitlabDiffFiles(diffs) {
+  return diffs.map(diff => ({
+    path: diff.new_path || diff.old_path,
+    truncated: Boolean(diff.too_large || diff.collapsed),
+    ...countDiffLines(diff.diff)
+  }));
+}
+
+function hasTruncatedDiff(files) {
+  return files.some(file => file.truncated && !isExcludedDiffPath(file.path));
+}
+
+async function fetchGitlabCommitDiffStats(instance, apiProjectPath, commit) {
+  const files = gitlabDiffFiles(await fetchAllPaged(instance, `${apiProjectPath}/repository/commits/${commit.id}/diff`));
+  const stats = summarizeFileChanges(files);
+  if (!hasTruncatedDiff(files)) return stats;
+  // The with_stats totals still cover truncated files (but also excluded paths).
+  return {
+    ...stats,
+    additions: Math.max(stats.additions, commit.diffStats?.additions || 0),
+    deletions: Math.max(stats.deletions, commit.diffStats?.deletions || 0),
+    truncated: true
+  };
+}
+
+async function fetchGitlabMrDiffStats(instance, apiProjectPath, iid) {
+  let files = null;
+  try {
+    files = gitlabDiffFiles(await fetchAllPaged(instance, `${apiProjectPath}/merge_requests/${iid}/diffs`));
+    if (!hasTruncatedDiff(files)) return summarizeFileChanges(files);
+  } catch {
+    files = null;
+  }
+  // Older GitLab (no /diffs) or a truncated diff: only the file count is reliable.
+  const { data } = await instance.client.get(`${apiProjectPath}/merge_requests/${iid}`);
+  const count = parseInt(data?.changes_count, 10);
+  if (!files) return Number.isFinite(count) ? { additions: null, deletions: null, files: count, excludedFiles: 0 } : null;
+  const stats = summarizeFileChanges(files);
+  return {
+    additions: null,
+    deletions: null,
+    files: Number.isFinite(count) ? Math.max(stats.files, count - stats.excludedFiles) : stats.files,
+    excludedFiles: stats.excludedFiles,
+    truncated: true
+  };
+}
+
+async function fetchGithubCommitDiffStats(owner, repo, sha) {
+  const { data } = await github.get(`/repos/${owner}/${repo}/commits/${sha}`);
+  if (!Array.isArray(data?.files)) return data?.stats ? { additions: data.stats.additions, deletions: data.stats.deletions, files: null, excludedFiles: 0 } : null;
+  return summarizeFileChanges(data.files.map(file => ({ path: file.filename, additions: file.additions, deletions: file.deletions })));
+}
+
+async function fetchGithubPullDiffStats(owner, repo, number) {
+  const files = await fetchGithubPaged(`/repos/${owner}/${repo}/pulls/${number}/files`);
+  return summarizeFileChanges(files.map(file => ({ path: file.filename, additions: file.additions, deletions: file.deletions })));
+}
+
+// Fetches per-item details (diff stats, reviews) one item at a time; failures leave
+// the item without that detail and are reported once per project, not once per item.
+async function attachItemDetails(items, key, label, fetchDetails, limit = Infinity) {
+  let failures = 0;
+  let lastError = null;
+  for (const item of items.slice(0, limit)) {
+    try {
+      const details = await fetchDetails(item);
+      if (details) item[key] = details;
+    } catch (err) {
+      failures += 1;
+      lastError = err;
+    }
+  }
+  if (failures) {
+    console.warn(`Could not fetch ${key} for ${failures} item${failures === 1 ? "" : "s"} in ${label}:`, lastError?.response?.status || lastError?.message);
+  }
+}
+
+// A review round is one revision of the MR that received reviewer activity;
+// GitLab revisions are delimited by the author's "added N commits" system notes.
+async function fetchGitlabMrReview(instance, apiProjectPath, mr) {
+  const [notes, approvals] = await Promise.all([
+    fetchAllPaged(instance, `${apiProjectPath}/merge_requests/${mr.iid}/notes`, { sort: "asc", order_by: "created_at" }),
+    instance.client.get(`${apiProjectPath}/merge_requests/${mr.iid}/approvals`).then(res => res.data).catch(() => null)
+  ]);
+  const authorUsername = mr.author?.username;
+  const events = [];
+  const reviewedRevisions = new Set();
+  let revision = 0;
+  for (const note of notes) {
+    const byAuthor = note.author?.username === authorUsername;
+    const body = String(note.body || "");
+    if (note.system) {
+      if (byAuthor && /^added \d+ commits?/.test(body)) revision += 1;
+      if (byAuthor || !/^approved this merge request/.test(body)) continue;
+    } else if (byAuthor) {
+      continue;
+    }
+    events.push({ author: note.author, created_at: note.created_at, approved: Boolean(note.system) });
+    reviewedRevisions.add(revision);
+  }
+  const approvers = Array.isArray(approvals?.approved_by) ? approvals.approved_by.map(entry => entry.user).filter(Boolean) : null;
+  for (const user of approvers || []) {
+    if (!events.some(event => event.approved && event.author?.username === user.username)) {
+      events.push({ author: user, created_at: null, approved: true });
+    }
+  }
+  return {
+    events,
+    rounds: reviewedRevisions.size,
+    approved: approvers ? approvers.length > 0 : events.some(event => event.approved)
+  };
+}
+
+// GitHub reviews carry the commit they were left on, so each reviewed head commit is a round.
+async function fetchGithubPullReview(owner, repo, pull) {
+  return githubPullReview(pull, await fetchGithubPaged(`/repos/${owner}/${repo}/pulls/${pull.iid}/reviews`));
+}
+
+function githubPullReview(pull, pullReviews) {
+  const reviews = pullReviews
+    .filter(review => review.state !== "PENDING" && review.user?.login && review.user.login !== pull.author?.username);
+  return {
+    events: reviews.map(review => ({
+      author: { name: review.user.login, username: review.user.login, bot: review.user.type === "Bot" },
+      created_at: review.submitted_at,
+      approved: review.state === "APPROVED"
+    })),
+    rounds: new Set(reviews.map(review => review.commit_id).filter(Boolean)).size || (reviews.length ? 1 : 0),
+    approved: reviews.some(review => review.state === "APPROVED")
+  };
+}
+
+function isAgingOpenMr(mr, now = dayjs()) {
+  return OPEN_MR_AGE_DAYS.length > 0 && now.diff(dayjs(mr.created_at), "day", true) > OPEN_MR_AGE_DAYS[0];
+}
+
+async function fetchGitlabOpenMrs(instance, apiProjectPath, project) {
+  const open = await fetchAllPaged(instance, `${apiProjectPath}/merge_requests`, { state: "opened", scope: "all" });
+  const mrs = open.map(mr => ({
+    id: mr.id,
+    iid: mr.iid,
+    title: mr.title,
+    web_url: mr.web_url,
+    author: mr.author,
+    created_at: mr.created_at,
+    updated_at: mr.updated_at,
+    draft: Boolean(mr.draft || mr.work_in_progress),
+    hasConflicts: Boolean(mr.has_conflicts),
+    pipelineStatus: null,
+    people: [
+      ...(mr.reviewers || []).map(user => ({ role: "reviewer", author: user, projectId: project.projectId })),
+      ...(mr.assignees || []).map(user => ({ role: "assignee", author: user, projectId: project.projectId }))
+    ],
+    ...project
+  }));
+  // The list endpoint has no pipeline, so only MRs old enough to be reported get the extra lookup.
+  await attachItemDetails(mrs.filter(mr => isAgingOpenMr(mr)), "pipelineStatus", `${project.projectName} open merge requests`, async mr => {
+    const { data } = await instance.client.get(`${apiProjectPath}/merge_requests/${mr.iid}`);
+    return data?.head_pipeline?.status || null;
+  });
+  return mrs;
+}
+
+async function fetchGitlabOpenIssues(instance, apiProjectPath, project) {
+  const open = await fetchAllPaged(instance, `${apiProjectPath}/issues`, { state: "opened", scope: "all" });
+  return open.map(issue => ({
+    id: issue.id,
+    iid: issue.iid,
+    title: issue.title,
+    web_url: issue.web_url,
+    author: issue.author,
+    created_at: issue.created_at,
+    labels: issue.labels || [],
+    people: (issue.assignees || []).map(user => ({ role: "assignee", author: user, projectId: project.projectId })),
+    ...project
+  }));
+}
+
+async function fetchGithubOpenIssues(owner, repo, project) {
+  const open = await fetchGithubPaged(`/repos/${owner}/${repo}/issues`, { state: "open" });
+  return open
+    .filter(issue => !issue.pull_request)
+    .map(issue => ({
+      id: issue.id,
+      iid: issue.number,
+      title: issue.title,
+      web_url: issue.html_url,
+      author: issue.user?.login ? { name: issue.user.login, username: issue.user.login, bot: issue.user.type === "Bot" } : null,
+      created_at: issue.created_at,
+      labels: (issue.labels || []).map(label => (typeof label === "string" ? label : label.name)),
+      people: (issue.assignees || []).map(user => ({ role: "assignee", author: { name: user.login, username: user.login }, projectId: project.projectId })),
+      ...project
+    }));
+}
+
+function summarizeCheckRuns(runs) {
+  if (!runs.length) return null;
+  if (runs.some(run => ["failure", "timed_out", "cancelled", "action_required"].includes(run.conclusion))) return "failed";
+  if (runs.some(run => run.status !== "completed")) return "running";
+  return "success";
+}
+
+async function fetchGithubOpenPulls(owner, repo, project) {
+  const open = await fetchGithubPaged(`/repos/${owner}/${repo}/pulls`, { state: "open" });
+  const pulls = open.map(pull => ({
+    id: pull.id,
+    iid: pull.number,
+    title: pull.title,
+    web_url: pull.html_url,
+    author: pull.user?.login ? { name: pull.user.login, username: pull.user.login, bot: pull.user.type === "Bot" } : null,
+    created_at: pull.created_at,
+    updated_at: pull.updated_at,
+    draft: Boolean(pull.draft),
+    hasConflicts: false,
+    pipelineStatus: null,
+    headSha: pull.head?.sha || null,
+    people: [
+      ...(pull.requested_reviewers || []).map(user => ({ role: "reviewer", author: { name: user.login, username: user.login }, projectId: project.projectId })),
+      ...(pull.assignees || []).map(user => ({ role: "assignee", author: { name: user.login, username: user.login }, projectId: project.projectId }))
+    ],
+    ...project
+  }));
+  const aging = pulls.filter(pull => isAgingOpenMr(pull));
+  // mergeable_state is only computed on the single-PR endpoint; "dirty" means conflicts.
+  await attachItemDetails(aging, "hasConflicts", `${project.projectName} open pull requests`, async pull => {
+    const { data } = await github.get(`/repos/${owner}/${repo}/pulls/${pull.iid}`);
+    return data?.mergeable_state === "dirty" || data?.mergeable === false;
+  });
+  await attachItemDetails(aging.filter(pull => pull.headSha), "pipelineStatus", `${project.projectName} open pull requests`, async pull => {
+    const { data } = await github.get(`/repos/${owner}/${repo}/commits/${pull.headSha}/check-runs`, { params: { per_page: 100 } });
+    return summarizeCheckRuns(data?.check_runs || []);
+  });
+  return pulls;
+}
+
+// Jobs retried within one pipeline: a failed attempt followed by a passing one is flaky.
+function findFlakyJobs(jobs) {
+  const byName = new Map();
+  for (const job of [...jobs].sort((a, b) => a.id - b.id)) {
+    if (!byName.has(job.name)) byName.set(job.name, []);
+    byName.get(job.name).push(job.status);
+  }
+  return [...byName.entries()]
+    .filter(([, statuses]) => {
+      const firstFailure = statuses.indexOf("failed");
+      return firstFailure !== -1 && statuses.slice(firstFailure + 1).includes("success");
+    })
+    .map(([name]) => name);
+}
+
+async function collectGitlabPipelines(instance, apiProjectPath, project, defaultBranch, sinceISO, untilISO) {
+  const list = await fetchAllPaged(instance, `${apiProjectPath}/pipelines`, {
+    updated_after: sinceISO,
+    updated_before: untilISO
+  });
+  const pipelines = list.map(pipeline => ({
+    id: pipeline.id,
+    status: pipeline.status,
+    ref: pipeline.ref,
+    isDefaultBranch: Boolean(defaultBranch) && pipeline.ref === defaultBranch,
+    created_at: pipeline.created_at,
+    durationSeconds: null,
+    flakyJobs: [],
+    web_url: pipeline.web_url,
+    name: `#${pipeline.id}`,
+    ...project
+  }));
+  await attachItemDetails(pipelines, "jobs", `${project.projectName} pipelines`, pipeline =>
+    fetchAllPaged(instance, `${apiProjectPath}/pipelines/${pipeline.id}/jobs`, { include_retried: true }), PIPELINE_DETAIL_LIMIT);
+  for (const pipeline of pipelines) {
+    const jobs = pipeline.jobs || [];
+    delete pipeline.jobs;
+    pipeline.flakyJobs = findFlakyJobs(jobs);
+    const started = jobs.map(job => job.started_at).filter(Boolean).map(date => dayjs(date).valueOf());
+    const finished = jobs.map(job => job.finished_at).filter(Boolean).map(date => dayjs(date).valueOf());
+    if (started.length && finished.length) pipeline.durationSeconds = (Math.max(...finished) - Math.min(...started)) / 1000;
+  }
+
+  let defaultBranchStatus = null;
+  if (defaultBranch) {
+    const { data } = await instance.client.get(`${apiProjectPath}/pipelines`, {
+      params: { ref: defaultBranch, scope: "finished", per_page: 1 }
+    });
+    const latest = data?.[0];
+    if (latest) defaultBranchStatus = { status: latest.status, web_url: latest.web_url, ref: defaultBranch, failing: [] };
+  }
+  return { pipelines, defaultBranchStatus };
+}
+
+function normalizeRunStatus(run) {
+  if (run.status !== "completed") return "running";
+  if (run.conclusion === "success") return "success";
+  if (["failure", "timed_out", "startup_failure"].includes(run.conclusion)) return "failed";
+  if (run.conclusion === "cancelled") return "canceled";
+  return "skipped";
+}
+
+// GitHub re-runs keep the run id and bump run_attempt; the jobs of the previous
+// attempt tell which job failed before passing.
+// GitHub serves at most 1,000 runs for a filtered query.
+const GITHUB_RUNS_MAX_PAGES = 10;
+
+async function collectGithubWorkflowRuns(owner, repo, project, defaultBranch, sinceISO, untilISO) {
+  // The runs endpoint wraps its list in { total_count, workflow_runs }, so fetchGithubPaged does not fit.
+  const listed = [];
+  let totalCount = 0;
+  for (let page = 1; page <= GITHUB_RUNS_MAX_PAGES; page += 1) {
+    const { data } = await github.get(`/repos/${owner}/${repo}/actions/runs`, {
+      params: { created: `${sinceISO}..${untilISO}`, per_page: 100, page }
+    });
+    const batch = data?.workflow_runs || [];
+    totalCount = Math.max(totalCount, Number(data?.total_count) || 0);
+    listed.push(...batch);
+    if (batch.length < 100 || listed.length >= totalCount) break;
+  }
+  const runs = listed.map(run => ({
+    id: run.id,
+    status: normalizeRunStatus(run),
+    ref: run.head_branch,
+    isDefaultBranch: Boolean(defaultBranch) && run.head_branch === defaultBranch,
+    created_at: run.created_at,
+    durationSeconds: run.run_started_at && run.updated_at && run.status === "completed"
+      ? dayjs(run.updated_at).diff(dayjs(run.run_started_at), "second")
+      : null,
+    flakyJobs: [],
+    web_url: run.html_url,
+    name: run.name || `#${run.id}`,
+    attempt: run.run_attempt || 1,
+    ...project
+  }));
+  const retried = runs.filter(run => run.attempt > 1 && run.status === "success").slice(0, PIPELINE_DETAIL_LIMIT);
+  await attachItemDetails(retried, "flakyJobs", `${project.projectName} workflow runs`, async run => {
+    const { data: previous } = await github.get(`/repos/${owner}/${repo}/actions/runs/${run.id}/attempts/${run.attempt - 1}/jobs`);
+    const failed = (previous?.jobs || []).filter(job => job.conclusion === "failure").map(job => `${run.name} › ${job.name}`);
+    return failed.length ? failed : [run.name];
+  });
+  runs.forEach(run => { delete run.attempt; });
+
+  let defaultBranchStatus = null;
+  if (defaultBranch) {
+    const { data: latest } = await github.get(`/repos/${owner}/${repo}/actions/runs`, {
+      params: { branch: defaultBranch, status: "completed", per_page: 50 }
+    });
+    // Latest completed run per workflow; the branch is broken if any workflow's latest run failed.
+    const latestByWorkflow = new Map();
+    for (const run of latest?.workflow_runs || []) {
+      if (!latestByWorkflow.has(run.workflow_id)) latestByWorkflow.set(run.workflow_id, run);
+    }
+    const heads = [...latestByWorkflow.values()];
+    const failing = heads.filter(run => normalizeRunStatus(run) === "failed");
+    if (heads.length) {
+      defaultBranchStatus = {
+        status: failing.length ? "failed" : "success",
+        web_url: failing[0]?.html_url || heads[0].html_url,
+        ref: defaultBranch,
+        failing: failing.map(run => run.name)
+      };
+    }
+  }
+  const skippedRuns = Math.max(0, totalCount - listed.length);
+  if (skippedRuns) console.warn(`Only the newest ${listed.length} of ${totalCount} workflow runs were read for ${project.projectName}.`);
+  return { pipelines: runs, defaultBranchStatus, skippedRuns };
+}
+
+// Deployments to DORA_ENVIRONMENT, falling back to releases when a project has none.
+// Fetched from the window start up to now so changes merged late in the window can
+// still be matched to the deployment that shipped them.
+async function fetchGitlabDeployments(instance, apiProjectPath, sinceISO) {
+  if (DORA_DEPLOY_SOURCE !== "releases") {
+    const deployments = await fetchAllPaged(instance, `${apiProjectPath}/deployments`, {
+      environment: DORA_ENVIRONMENT,
+      status: "success",
+      updated_after: sinceISO,
+      order_by: "updated_at",
+      sort: "asc"
+    });
+    if (deployments.length || DORA_DEPLOY_SOURCE === "deployments") {
+      return deployments.map(deployment => ({
+        id: deployment.id,
+        deployed_at: deployment.deployable?.finished_at || deployment.finished_at || deployment.updated_at || deployment.created_at,
+        ref: deployment.ref,
+        source: "deployment"
+      }));
+    }
+  }
+  const since = dayjs(sinceISO);
+  const releases = await fetchAllPaged(instance, `${apiProjectPath}/releases`, { order_by: "released_at", sort: "desc" }, {
+    stop: page => page.some(release => release.released_at && dayjs(release.released_at).isBefore(since))
+  });
+  return releases
+    .filter(release => release.released_at && !dayjs(release.released_at).isBefore(since))
+    .map(release => ({ id: release.tag_name, deployed_at: release.released_at, ref: release.tag_name, source: "release" }));
+}
+
+async function fetchGithubDeployments(owner, repo, sinceISO) {
+  const since = dayjs(sinceISO);
+  if (DORA_DEPLOY_SOURCE !== "releases") {
+    const deployments = (await fetchGithubPaged(`/repos/${owner}/${repo}/deployments`, { environment: DORA_ENVIRONMENT }, {
+      stop: page => page.some(deployment => dayjs(deployment.created_at).isBefore(since))
+    })).filter(deployment => !dayjs(deployment.created_at).isBefore(since));
+    // A deployment only counts once its latest status is success (or it never reported one).
+    await attachItemDetails(deployments, "state", `${owner}/${repo} deployments`, async deployment => {
+      const { data } = await github.get(`/repos/${owner}/${repo}/deployments/${deployment.id}/statuses`, { params: { per_page: 1 } });
+      return data?.[0]?.state || "success";
+    });
+    const succeeded = deployments.filter(deployment => (deployment.state || "success") === "success");
+    if (succeeded.length || DORA_DEPLOY_SOURCE === "deployments") {
+      return succeeded.map(deployment => ({
+        id: deployment.id,
+        deployed_at: deployment.created_at,
+        ref: deployment.ref,
+        source: "deployment"
+      }));
+    }
+  }
+  const releases = await fetchGithubPaged(`/repos/${owner}/${repo}/releases`, {}, {
+    stop: page => page.some(release => release.published_at && dayjs(release.published_at).isBefore(since))
+  });
+  return releases
+    .filter(release => !release.draft && release.published_at && !dayjs(release.published_at).isBefore(since))
+    .map(release => ({ id: release.tag_name, deployed_at: release.published_at, ref: release.tag_name, source: "release" }));
+}
+
+// GitLab tags without a release are listed too. Only the newest page of tags is read,
+// which is enough to find the tag that precedes each release in the window.
+async function fetchGitlabReleases(instance, apiProjectPath, sinceISO, project) {
+  const since = dayjs(sinceISO);
+  // Newest first, so paging stops once a release before the window (the "previous tag") is seen.
+  const releases = await fetchAllPaged(instance, `${apiProjectPath}/releases`, { order_by: "released_at", sort: "desc" }, {
+    stop: page => page.some(release => release.released_at && dayjs(release.released_at).isBefore(since))
+  });
+  // Tags are listed by commit date; only annotated tags carry their own created_at. A
+  // lightweight tag has nothing but the commit date, which is not when it was tagged,
+  // so it is skipped unless a release names it.
+  const tags = await fetchAllPaged(instance, `${apiProjectPath}/repository/tags`, { order_by: "updated", sort: "desc" }, {
+    stop: page => page.some(tag => tag.created_at && dayjs(tag.created_at).isBefore(since))
+  });
+  const entries = new Map();
+  for (const tag of tags.filter(tag => tag.created_at)) {
+    entries.set(tag.name, {
+      tag: tag.name,
+      name: tag.name,
+      released_at: tag.created_at,
+      notes: tag.message || "",
+      web_url: project.projectWebUrl ? `${project.projectWebUrl}/-/tags/${encodeURIComponent(tag.name)}` : null,
+      prerelease: false,
+      ...project
+    });
+  }
+  for (const release of releases) {
+    entries.set(release.tag_name, {
+      tag: release.tag_name,
+      name: release.name || release.tag_name,
+      released_at: release.released_at || release.created_at,
+      notes: release.description || "",
+      web_url: release._links?.self || entries.get(release.tag_name)?.web_url || null,
+      prerelease: Boolean(release.upcoming_release),
+      ...project
+    });
+  }
+  return [...entries.values()];
+}
+
+async function fetchGithubReleases(owner, repo, sinceISO, project) {
+  const since = dayjs(sinceISO);
+  // Keep paging until one release before the window is seen; it is the "previous tag".
+  const releases = await fetchGithubPaged(`/repos/${owner}/${repo}/releases`, {}, {
+    stop: page => page.some(release => release.published_at && dayjs(release.published_at).isBefore(since))
+  });
+  return releases
+    .filter(release => !release.draft)
+    .map(release => ({
+      tag: release.tag_name,
+      name: release.name || release.tag_name,
+      released_at: release.published_at || release.created_at,
+      notes: release.body || "",
+      web_url: release.html_url,
+      prerelease: Boolean(release.prerelease),
+      ...project
+    }));
+}
+
+function milestoneItem(item, isMr) {
+  const done = isMr ? ["merged", "closed"].includes(item.state) : Boolean(item.closed_at) || item.state === "closed";
+  return {
+    created_at: item.created_at,
+    closed_at: done ? item.merged_at || item.closed_at || item.updated_at : null,
+    isMr
+  };
+}
+
+function normalizeGitlabMilestone(milestone, scope, kind = "milestone") {
+  return {
+    key: `${kind}:${milestone.id}`,
+    kind,
+    title: milestone.title || `Iteration ${milestone.iid || milestone.id}`,
+    web_url: milestone.web_url || null,
+    scope,
+    start_date: milestone.start_date || milestone.created_at,
+    due_date: milestone.due_date || null,
+    items: []
+  };
+}
+
+async function fetchGitlabMilestones(instance, apiProjectPath, projectName) {
+  const milestones = await fetchAllPaged(instance, `${apiProjectPath}/milestones`, { state: "active" });
+  return Promise.all(milestones.map(async milestone => {
+    const entry = normalizeGitlabMilestone(milestone, projectName);
+    const [issues, mrs] = await Promise.all([
+      fetchAllPaged(instance, `${apiProjectPath}/milestones/${milestone.id}/issues`),
+      fetchAllPaged(instance, `${apiProjectPath}/milestones/${milestone.id}/merge_requests`)
+    ]);
+    entry.items = [...issues.map(issue => milestoneItem(issue, false)), ...mrs.map(mr => milestoneItem(mr, true))];
+    return entry;
+  }));
+}
+
+// Group milestones and current iterations span projects, so they are collected once per group.
+// Iterations need GitLab Premium; a 403/404 just means there are none to report.
+async function fetchGitlabGroupMilestones(instance, groupId) {
+  const groupPath = `/groups/${encodeURIComponent(groupId)}`;
+  const entries = [];
+  const milestones = await fetchAllPaged(instance, `${groupPath}/milestones`, { state: "active" });
+  for (const milestone of milestones) {
+    const entry = normalizeGitlabMilestone(milestone, `group ${groupId}`);
+    const [issues, mrs] = await Promise.all([
+      fetchAllPaged(instance, `${groupPath}/milestones/${milestone.id}/issues`),
+      fetchAllPaged(instance, `${groupPath}/milestones/${milestone.id}/merge_requests`)
+    ]);
+    entry.items = [...issues.map(issue => milestoneItem(issue, false)), ...mrs.map(mr => milestoneItem(mr, true))];
+    entries.push(entry);
+  }
+  let iterations = [];
+  try {
+    iterations = await fetchAllPaged(instance, `${groupPath}/iterations`, { state: "current" });
+  } catch (err) {
+    if (![403, 404].includes(err?.response?.status)) throw err;
+  }
+  for (const iteration of iterations) {
+    const entry = normalizeGitlabMilestone(iteration, `group ${groupId}`, "iteration");
+    const issues = await fetchAllPaged(instance, `${groupPath}/issues`, { iteration_id: iteration.id, scope: "all" });
+    entry.items = issues.map(issue => milestoneItem(issue, false));
+    entries.push(entry);
+  }
+  return entries;
+}
+
+// GitHub counts PRs attached to a milestone as issues, so one listing covers both.
+async function fetchGithubMilestones(owner, repo, projectName) {
+  const milestones = await fetchGithubPaged(`/repos/${owner}/${repo}/milestones`, { state: "open" });
+  return Promise.all(milestones.map(async milestone => {
+    const issues = await fetchGithubPaged(`/repos/${owner}/${repo}/issues`, { milestone: milestone.number, state: "all" });
+    return {
+      key: `milestone:${owner}/${repo}#${milestone.number}`,
+      kind: "milestone",
+      title: milestone.title,
+      web_url: milestone.html_url,
+      scope: projectName,
+      start_date: milestone.created_at,
+      due_date: milestone.due_on ? dayjs(milestone.due_on).format("YYYY-MM-DD") : null,
+      items: issues.map(issue => milestoneItem(issue, Boolean(issue.pull_request)))
+    };
+  }));
+}
+
+async function discoverGithubRepos() {
+  if (!github) return [];
+  const mode = (process.env.GITHUB_DISCOVER_MODE || "org").toLowerCase(); // org | user | mixed
+  const orgs = parseCsv("GITHUB_ORGS");
+  const username = process.env.GITHUB_USER;
+  const includeRegex = process.env.GITHUB_REPO_INCLUDE_REGEX ? new RegExp(process.env.GITHUB_REPO_INCLUDE_REGEX) : null;
+  const excludeRegex = process.env.GITHUB_REPO_EXCLUDE_REGEX ? new RegExp(process.env.GITHUB_REPO_EXCLUDE_REGEX) : null;
+  const extras = parseCsv("GITHUB_EXTRA_REPOS");
+  const excludes = new Set(parseCsv("GITHUB_EXCLUDE_REPOS").map(normalizeRepoName));
+
+  const repoMap = new Map();
+
+  const includeRepo = repo => {
+    if (!repo || !repo.full_name) return;
+    const fullName = repo.full_name;
+    const normalized = normalizeRepoName(fullName);
+    if (excludes.has(normalized)) return;
+    if (includeRegex && !includeRegex.test(fullName) && !includeRegex.test(repo.name)) return;
+    if (excludeRegex && (excludeRegex.test(fullName) || excludeRegex.test(repo.name))) return;
+    repoMap.set(normalized, fullName);
+    githubRepoCache.set(normalized, repo);
+  };
+
+  if ((mode === "org" || mode === "mixed") && orgs.length) {
+    for (const org of orgs) {
+      try {
+        const repos = await fetchGithubPaged(`/orgs/${org}/repos`, { type: "all", sort: "updated" }, { cacheTtlMs: METADATA_TTL_MS });
+        repos.forEach(includeRepo);
+      } catch (err) {
+        console.warn(`Unable to fetch GitHub org repos for ${org}:`, err?.response?.status || err.message);
+      }
+    }
+  }
+
+  if (mode === "user" || mode === "mixed") {
+    try {
+      if (username) {
+        const repos = await fetchGithubPaged(`/users/${username}/repos`, { type: "all", sort: "updated" }, { cacheTtlMs: METADATA_TTL_MS });
+        repos.forEach(includeRepo);
+      } else {
+        const repos = await fetchGithubPaged("/user/repos", {
+          affiliation: "owner,collaborator,organization_member",
+          sort: "updated",
+          direction: "desc"
+        }, { cacheTtlMs: METADATA_TTL_MS });
+        repos.forEach(includeRepo);
+      }
+    } catch (err) {
+      console.warn("Unable to fetch GitHub user repos:", err?.response?.status || err.message);
+    }
+  }
+
+  for (const extra of extras) {
+    const normalized = normalizeRepoName(extra);
+    if (!extra || excludes.has(normalized)) continue;
+    repoMap.set(normalized, extra);
+  }
+
+  for (const excluded of excludes) {
+    repoMap.delete(excluded);
+    githubRepoCache.delete(excluded);
+  }
+
+  return [...repoMap.values()];
+}
+
+// Returns raw project IDs for one GitLab instance; callers key them with gitlabProjectKey().
+async function discoverProjects(instance) {
+  const mode = instance.discoverMode;
+  const includeSubgroups = String(process.env.INCLUDE_SUBGROUPS || "true").toLowerCase() === "true";
+  const archived = (process.env.ARCHIVED || "false").toLowerCase() === "true";
+  const visibility = (process.env.VISIBILITY || "").toLowerCase(); // '', 'public', 'internal', 'private'
+  const nameInc = process.env.NAME_INCLUDE_REGEX ? new RegExp(process.env.NAME_INCLUDE_REGEX) : null;
+  const nameExc = process.env.NAME_EXCLUDE_REGEX ? new RegExp(process.env.NAME_EXCLUDE_REGEX) : null;
+
+  const groupIds = instance.groupIds;
+  const userId = instance.userId;
+
+  let projects = [];
+
+  if (mode === "group" || mode === "mixed") {
+    for (const gid of groupIds) {
+      const gp = await fetchAllPaged(instance, `/groups/${encodeURIComponent(gid)}/projects`, {
+        include_subgroups: includeSubgroups,
+        archived,
+        simple: true,
+        ...(visibility ? { visibility } : {})
+      }, { cacheTtlMs: METADATA_TTL_MS });
+      projects.push(...gp);
+    }
+  }
+
+  if ((mode === "user" || mode === "mixed") && userId) {
+    const up = await fetchAllPaged(instance, `/users/${encodeURIComponent(userId)}/projects`, {
+      membership: true,
+      archived,
+      simple: true,
+      ...(visibility ? { visibility } : {})
+    }, { cacheTtlMs: METADATA_TTL_MS });
+    projects.push(...up);
+  }
+
+  let uniq = new Map();
+  for (const p of projects) uniq.set(p.id, p);
+
+  const filtered = [...uniq.values()].filter(p => {
+    const nameTarget = p.name_with_namespace || p.path_with_namespace || "";
+    const pathTarget = p.path_with_namespace || "";
+    if (nameInc && !nameInc.test(nameTarget) && !nameInc.test(pathTarget)) return false;
+    if (nameExc && (nameExc.test(nameTarget) || nameExc.test(pathTarget))) return false;
+    return true;
+  });
+
+  uniq = new Map(filtered.map(p => [p.id, p]));
+  for (const p of uniq.values()) {
+    projectCache.set(gitlabProjectKey(instance, p.id), p);
+  }
+  const extras = instanceProjectIds(instance, parseCsv("EXTRA_PROJECT_IDS")).map(Number);
+  const excludes = new Set(instanceProjectIds(instance, parseCsv("EXCLUDE_PROJECT_IDS")).map(Number));
+  for (const id of extras) if (!excludes.has(id)) uniq.set(id, { id });
+  for (const id of excludes) uniq.delete(id);
+
+  return [...uniq.keys()].map(String);
+}
+
+// EXTRA_PROJECT_IDS / EXCLUDE_PROJECT_IDS entries are plain IDs for the default
+// instance and "<name>:<id>" for named instances.
+function instanceProjectIds(instance, ids) {
+  return ids
+    .filter(id => instance.prefix ? id.toLowerCase().startsWith(instance.prefix) : !id.includes(":"))
+    .map(id => id.slice(instance.prefix.length));
+}
+
+function resolveAuthorName(entry) {
+  if (!entry) return "Unknown";
+  return entry.authorIdentity ||
+    entry.author?.name ||
     entry.author?.username ||
     entry.author_name ||
     entry.author_email ||
@@ -248,255 +2414,1436 @@ function resolveAuthorName(entry) {
     "Unknown";
 }
 
-function groupItemsByAuthor(items) {
-  const map = new Map();
-  for (const item of items) {
-    const key = resolveAuthorName(item);
-    map.set(key, (map.get(key) || 0) + 1);
-  }
-  return map;
+// GitHub: "<id>+<login>@users.noreply.github.com", GitLab: "<id>-<username>@users.noreply.<host>".
+function noreplyIdentityKey(email) {
+  const github = email.match(/^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/);
+  if (github) return `github:${github[1]}`;
+  const gitlab = email.match(/^(?:\d+-)?([^@]+)@users\.noreply\./);
+  return gitlab ? `gitlab:${gitlab[1]}` : null;
+}
+
+// Display names are not unique (two "John Smith"s, a GitHub and an unrelated GitLab
+// "alice"), so they only link aliases when the identity map lists them.
+function identityKeysFor(entry, people) {
+  const keys = new Set();
+  const platform = isGithubProjectId(entry.projectId) ? "github" : "gitlab";
+  const username = entry.author?.username ? String(entry.author.username).toLowerCase() : null;
+  if (username) keys.add(`${platform}:${username}`);
+  for (const name of [username, entry.author?.name, entry.author_name]) {
+    if (!name || name === "Unknown") continue;
+    const key = `name:${String(name).toLowerCase()}`;
+    if (people?.has(key)) keys.add(key);
+  }
+  for (const email of [entry.author_email, entry.author?.email]) {
+    if (!email) continue;
+    const normalized = String(email).toLowerCase();
+    keys.add(`email:${normalized}`);
+    const noreply = noreplyIdentityKey(normalized);
+    if (noreply) keys.add(noreply);
+  }
+  return [...keys];
+}
+
+// Clusters every author alias that shares an email, username, noreply address or
+// identity-map alias, then tags each item with one canonical name (the identity map wins).
+// Returns the alias clusters the identity map did not cover.
+function applyAuthorIdentities(items, people) {
+  const parent = new Map();
+  const find = key => {
+    let root = key;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(key, root);
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  const itemKeys = items.map(item => {
+    const keys = identityKeysFor(item, people);
+    for (const key of keys) if (!parent.has(key)) parent.set(key, key);
+    for (let i = 1; i < keys.length; i += 1) union(keys[0], keys[i]);
+    return keys;
+  });
+
+  const clusters = new Map();
+  items.forEach((item, index) => {
+    const keys = itemKeys[index];
+    if (!keys.length) return;
+    const root = find(keys[0]);
+    if (!clusters.has(root)) clusters.set(root, { keys: new Set(), names: new Map(), usernames: new Set() });
+    const cluster = clusters.get(root);
+    keys.forEach(key => cluster.keys.add(key));
+    const username = item.author?.username;
+    if (username) cluster.usernames.add(username);
+    for (const name of [item.author?.name, item.author_name]) {
+      if (!name || name === username || name === "Unknown") continue;
+      cluster.names.set(name, (cluster.names.get(name) || 0) + 1);
+    }
+  });
+
+  const unmatched = [];
+  for (const cluster of clusters.values()) {
+    const mapped = people ? [...cluster.keys].map(key => people.get(key)).find(Boolean) : null;
+    const [displayName] = [...cluster.names.entries()]
+      .sort((a, b) => b[1] - a[1] || b[0].length - a[0].length)
+      .map(([name]) => name);
+    cluster.canonical = mapped || displayName || [...cluster.usernames][0] || null;
+    if (people && !mapped) unmatched.push({ name: cluster.canonical, aliases: [...cluster.keys].sort() });
+  }
+
+  items.forEach((item, index) => {
+    const keys = itemKeys[index];
+    if (!keys.length) return;
+    // An alias listed in the identity map always resolves to its own person.
+    const direct = people ? keys.map(key => people.get(key)).find(Boolean) : null;
+    const canonical = direct || clusters.get(find(keys[0])).canonical;
+    if (canonical) item.authorIdentity = canonical;
+  });
+
+  return unmatched.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+function isMergeCommit(commit) {
+  return commit.parentCount !== null && commit.parentCount !== undefined && commit.parentCount > 1;
+}
+
+// The same commit can be listed by several projects (mirrors, forks, GitLab + GitHub);
+// count it once by SHA and, optionally, once per cherry-pick.
+function dedupeCommits(commits, { cherryPicks = COMMIT_DEDUPE_CHERRY_PICKS } = {}) {
+  const seenShas = new Set();
+  const seenPatches = new Set();
+  const unique = [];
+  for (const commit of commits) {
+    const sha = commit.id ? String(commit.id).toLowerCase() : null;
+    if (sha && seenShas.has(sha)) continue;
+    if (sha) seenShas.add(sha);
+    if (cherryPicks) {
+      const patchKey = [
+        String(commit.title || "").trim().toLowerCase(),
+        resolveAuthorName(commit).toLowerCase(),
+        commit.authored_date ? dayjs(commit.authored_date).toISOString() : ""
+      ].join("|");
+      if (seenPatches.has(patchKey)) continue;
+      seenPatches.add(patchKey);
+    }
+    unique.push(commit);
+  }
+  return unique;
+}
+
+// GitHub marks app accounts with type "Bot" and GitLab service users with bot: true;
+// everything else (git author names, CI release users) falls back to BOT_PATTERNS.
+function isBotAuthor(entry) {
+  if (entry.author?.bot === true || entry.author?.type === "Bot") return true;
+  const candidates = [entry.author?.name, entry.author?.username, entry.author_name, entry.author_email, entry.author?.email]
+    .filter(Boolean)
+    .map(String);
+  return candidates.some(value => BOT_PATTERNS.some(pattern => pattern.test(value)));
+}
+
+function groupItemsByAuthor(items) {
+  const map = new Map();
+  for (const item of items) {
+    const key = resolveAuthorName(item);
+    map.set(key, (map.get(key) || 0) + 1);
+  }
+  return map;
+}
+
+function groupCommitsByAuthor(commits) {
+  return [...groupItemsByAuthor(commits).entries()].sort((a, b) => b[1] - a[1]);
+}
+
+function isGithubProjectId(id) {
+  return String(id).includes("/");
+}
+
+function formatCount(n) {
+  const num = Number(n) || 0;
+  return num.toLocaleString("en-US");
+}
+
+function formatTable(rows, { lang = "text" } = {}) {
+  if (!rows.length) return "";
+  const widths = [];
+  rows.forEach(row => {
+    row.forEach((cell, idx) => {
+      const text = String(cell);
+      widths[idx] = Math.max(widths[idx] || 0, text.length);
+    });
+  });
+  const lines = rows.map(row =>
+    row.map((cell, idx) => {
+      const text = String(cell);
+      if (idx === row.length - 1) return text;
+      const pad = widths[idx] - text.length;
+      return text + " ".repeat(pad + 2);
+    }).join("")
+  );
+  return `\`\`\`${lang}\n${lines.join("\n")}\n\`\`\``;
+}
+
+function formatTeamMetrics({
+  organizationSummary,
+  totalMRMerged,
+  totalMROpened,
+  totalCommits,
+  rawCommits,
+  totalIssuesOpened,
+  totalIssuesClosed,
+  totalIssuesOpenedMonth,
+  totalIssuesClosedMonth,
+  activeRepos,
+  contributors,
+  lines,
+  automation,
+  trends,
+  periodLabel = "day"
+}) {
+  const hasMonthTotals = totalIssuesOpenedMonth !== null && totalIssuesOpenedMonth !== undefined;
+  const metricRows = [
+    ["Organizations", organizationSummary, null],
+    ["PRs Merged", formatCount(totalMRMerged), "mergedMrs"],
+    ["PRs Opened", formatCount(totalMROpened), "openedMrs"],
+    ["Commits", formatCount(totalCommits), "commits"],
+    ...(rawCommits !== undefined && rawCommits !== totalCommits ? [["Commits (raw)", formatCount(rawCommits), null]] : []),
+    [`Issues Opened (${periodLabel})`, formatCount(totalIssuesOpened), "issuesOpened"],
+    [`Issues Closed (${periodLabel})`, formatCount(totalIssuesClosed), "issuesClosed"],
+    ...(hasMonthTotals
+      ? [
+          ["Issues Opened (month)", formatCount(totalIssuesOpenedMonth), null],
+          ["Issues Closed (month)", formatCount(totalIssuesClosedMonth), null]
+        ]
+      : []),
+    ["Active Repos", formatCount(activeRepos), "activeRepos"],
+    ["Contributors", formatCount(contributors), "contributors"],
+    ...(lines ? [["Lines Changed", `${formatLineDelta(lines)} (${formatCount(lines.files)} files)`, null]] : []),
+    ...(automationSummary(automation) ? [["Automation", automationSummary(automation), null]] : [])
+  ];
+  const hasTrends = trends && trends.days > 0;
+  const rows = metricRows.map(([label, value, key]) => {
+    if (!hasTrends) return [label, value];
+    const delta = key ? trends.metrics[key] : null;
+    return [
+      label,
+      value,
+      formatDelta(delta?.yesterday),
+      formatDelta(delta?.lastWeek),
+      formatDelta(delta?.avg7),
+      formatDelta(delta?.avg28)
+    ];
+  });
+  if (hasTrends) {
+    rows.unshift(["", "Now", "vs 1d", "vs 1w", "vs 7d avg", "vs 28d avg"]);
+  }
+  return [
+    "**⚙️ Team Metrics**",
+    "_Totals combine GitLab + GitHub repositories_",
+    formatTable(rows)
+  ].join("\n");
+}
+
+function sumDiffStats(items) {
+  const measured = items.filter(item => item.diffStats);
+  if (!measured.length) return null;
+  return {
+    additions: measured.reduce((sum, item) => sum + (item.diffStats.additions || 0), 0),
+    deletions: measured.reduce((sum, item) => sum + (item.diffStats.deletions || 0), 0),
+    files: measured.reduce((sum, item) => sum + (item.diffStats.files || 0), 0),
+    measured: measured.length
+  };
+}
+
+function formatLineDelta(stats) {
+  if (!stats) return "–";
+  return `+${formatCount(stats.additions)}/−${formatCount(stats.deletions)}`;
+}
+
+function diffStatsSize(stats) {
+  return (stats?.additions || 0) + (stats?.deletions || 0);
+}
+
+function isLargeChange(mr) {
+  const stats = mr.diffStats;
+  if (!stats) return false;
+  // GitLab only truncates diffs well beyond any sensible line threshold.
+  if (stats.truncated) return true;
+  return diffStatsSize(stats) >= LARGE_CHANGE_LINES || (stats.files || 0) >= LARGE_CHANGE_FILES;
+}
+
+function formatLargeChanges(mrs, { limit = 5 } = {}) {
+  const large = mrs.filter(isLargeChange).sort((a, b) => diffStatsSize(b.diffStats) - diffStatsSize(a.diffStats));
+  if (!large.length) return null;
+  const lines = ["**🐘 Large Changes Merged**", `_${formatCount(LARGE_CHANGE_LINES)}+ lines or ${formatCount(LARGE_CHANGE_FILES)}+ files, excluding generated files and lockfiles_`];
+  for (const mr of large.slice(0, limit)) {
+    const title = mr.web_url ? `[${mr.title}](${mr.web_url})` : mr.title;
+    const size = mr.diffStats.additions === null
+      ? `${formatCount(mr.diffStats.files)} files`
+      : `${formatLineDelta(mr.diffStats)} in ${formatCount(mr.diffStats.files)} file${mr.diffStats.files === 1 ? "" : "s"}`;
+    lines.push(`• ${title} (${mr.projectName}) — ${size} by ${resolveAuthorName(mr)}`);
+  }
+  if (large.length > limit) lines.push(`…and ${large.length - limit} more large change${large.length - limit === 1 ? "" : "s"}.`);
+  return lines.join("\n");
+}
+
+function automationSummary(automation) {
+  if (!automation) return null;
+  const parts = [];
+  if (automation.commits) parts.push(`${formatCount(automation.commits)} commit${automation.commits === 1 ? "" : "s"}`);
+  if (automation.mergedMrs) parts.push(`${formatCount(automation.mergedMrs)} PR${automation.mergedMrs === 1 ? "" : "s"} merged`);
+  if (automation.openedMrs) parts.push(`${formatCount(automation.openedMrs)} PR${automation.openedMrs === 1 ? "" : "s"} opened`);
+  return parts.length ? parts.join(" · ") : null;
+}
+
+function buildMemberSummaries({ commits, mrsMerged, mrsOpened, issuesOpened, issuesClosed, reviews = [] }) {
+  const totalCommits = commits.length;
+  const members = new Map();
+
+  const ensure = name => {
+    if (!members.has(name)) {
+      members.set(name, {
+        name,
+        commits: 0,
+        commitPct: 0,
+        mergedMrs: 0,
+        openedMrs: 0,
+        issuesOpened: 0,
+        issuesClosed: 0,
+        reviews: 0,
+        lines: null
+      });
+    }
+    return members.get(name);
+  };
+
+  for (const commit of commits) {
+    const name = resolveAuthorName(commit);
+    const entry = ensure(name);
+    entry.commits += 1;
+    if (commit.diffStats) {
+      entry.lines = entry.lines || { additions: 0, deletions: 0, files: 0 };
+      entry.lines.additions += commit.diffStats.additions || 0;
+      entry.lines.deletions += commit.diffStats.deletions || 0;
+      entry.lines.files += commit.diffStats.files || 0;
+    }
+  }
+
+  for (const mr of mrsMerged) {
+    const name = resolveAuthorName(mr);
+    const entry = ensure(name);
+    entry.mergedMrs += 1;
+  }
+
+  for (const mr of mrsOpened) {
+    const name = resolveAuthorName(mr);
+    const entry = ensure(name);
+    entry.openedMrs += 1;
+  }
+
+  for (const issue of issuesOpened) {
+    const name = resolveAuthorName(issue);
+    const entry = ensure(name);
+    entry.issuesOpened += 1;
+  }
+
+  for (const issue of issuesClosed) {
+    const name = resolveAuthorName(issue);
+    const entry = ensure(name);
+    entry.issuesClosed += 1;
+  }
+
+  for (const review of reviews) {
+    const name = resolveAuthorName(review);
+    const entry = ensure(name);
+    entry.reviews += 1;
+  }
+
+  const summaries = [...members.values()];
+  summaries.forEach(entry => {
+    entry.commitPct = totalCommits ? Math.round((entry.commits / totalCommits) * 100) : 0;
+  });
+
+  return summaries.sort((a, b) => {
+    if (b.mergedMrs !== a.mergedMrs) return b.mergedMrs - a.mergedMrs;
+    if (b.commits !== a.commits) return b.commits - a.commits;
+    if (b.issuesClosed !== a.issuesClosed) return b.issuesClosed - a.issuesClosed;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+function describeMemberActivity(member) {
+  const parts = [];
+  if (member.commits) {
+    const pct = member.commitPct ? ` (${member.commitPct}%)` : "";
+    parts.push(`🧾 ${formatCount(member.commits)} commit${member.commits === 1 ? "" : "s"}${pct}`);
+  }
+  if (member.lines && (member.lines.additions || member.lines.deletions)) {
+    const files = member.lines.files ? ` in ${formatCount(member.lines.files)} file${member.lines.files === 1 ? "" : "s"}` : "";
+    parts.push(`📏 ${formatLineDelta(member.lines)}${files}`);
+  }
+  if (member.openedMrs) {
+    parts.push(`📝 ${formatCount(member.openedMrs)} PR${member.openedMrs === 1 ? "" : "s"} opened`);
+  }
+  if (member.mergedMrs) {
+    parts.push(`✅ ${formatCount(member.mergedMrs)} PR${member.mergedMrs === 1 ? "" : "s"} merged`);
+  }
+  if (member.reviews) {
+    parts.push(`👀 ${formatCount(member.reviews)} review${member.reviews === 1 ? "" : "s"}`);
+  }
+  if (member.issuesOpened) {
+    parts.push(`➕ ${formatCount(member.issuesOpened)} issue${member.issuesOpened === 1 ? "" : "s"} opened`);
+  }
+  if (member.issuesClosed) {
+    parts.push(`✔️ ${formatCount(member.issuesClosed)} issue${member.issuesClosed === 1 ? "" : "s"} closed`);
+  }
+  if (!parts.length) parts.push("MR participation");
+  return parts;
+}
+
+function formatTeamMembers(members, heading = "**Team Members**") {
+  const lines = [];
+  if (heading) lines.push(heading);
+  if (!members.length) {
+    lines.push("_No member activity captured in this window._");
+    return lines.join("\n");
+  }
+  lines.push("*Active Today*");
+  const top = members.slice(0, 5);
+  for (const member of top) {
+    lines.push(`• **${member.name}** — ${describeMemberActivity(member).join(" | ")}`);
+  }
+  if (members.length > top.length) {
+    const remaining = members.length - top.length;
+    lines.push(`• ...and ${remaining} more active contributor${remaining === 1 ? "" : "s"}`);
+  }
+  return lines.join("\n");
+}
+
+function formatRepoLink(project) {
+  const displayName = project.projectName || project.projectPath || String(project.projectId);
+  return project.projectWebUrl ? `[${displayName}](${project.projectWebUrl})` : displayName;
+}
+
+function formatOrgSummary(label, projects, { linkRepos = false, heading = true } = {}) {
+  if (!projects.length) return null;
+  const lines = heading ? [`**📂 ${label}**`] : [];
+  const sorted = [...projects].sort((a, b) => {
+    if (b.mrsMerged.length !== a.mrsMerged.length) return b.mrsMerged.length - a.mrsMerged.length;
+    if (b.commits.length !== a.commits.length) return b.commits.length - a.commits.length;
+    return a.projectName.localeCompare(b.projectName);
+  });
+  const display = sorted.slice(0, 3);
+  for (const project of display) {
+    const merged = project.mrsMerged.length;
+    const commits = project.commits.length;
+    const issuesOpened = project.issuesOpened.length;
+    const issuesClosed = project.issuesClosed.length;
+    const parts = [];
+    if (merged) parts.push(`PRs: ${formatCount(merged)}`);
+    if (commits) parts.push(`Commits: ${formatCount(commits)}`);
+    if (issuesOpened || issuesClosed) parts.push(`Issues: +${formatCount(issuesOpened)}/-${formatCount(issuesClosed)}`);
+    const summary = parts.length ? parts.join(" • ") : "No activity recorded";
+    const displayName = linkRepos
+      ? formatRepoLink(project)
+      : project.projectName || project.projectPath || String(project.projectId);
+    const icon = isGithubProjectId(project.projectId) ? "🐙" : "🦊";
+    lines.push(`${icon} ${displayName} — ${summary}`);
+  }
+  if (sorted.length > display.length) {
+    const remaining = sorted.length - display.length;
+    lines.push(`…and ${remaining} more active repo${remaining === 1 ? "" : "s"}.`);
+  }
+  return lines.join("\n");
+}
+
+const CONVENTIONAL_PATTERN = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+
+function parseConventional(title) {
+  const match = CONVENTIONAL_PATTERN.exec(String(title || "").trim());
+  if (!match || !CONVENTIONAL_TYPES.includes(match[1].toLowerCase())) return null;
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] ? match[2].trim() : null,
+    breaking: Boolean(match[3]) || /BREAKING[ -]CHANGE/.test(match[4]),
+    subject: match[4].trim()
+  };
+}
+
+const WORK_TYPE_COLUMNS = ["feat", "fix", "perf", "refactor"];
+
+function workTypeBucket(parsed) {
+  if (!parsed) return "nonConventional";
+  return WORK_TYPE_COLUMNS.includes(parsed.type) ? parsed.type : "other";
+}
+
+function emptyWorkTypes(name) {
+  return { name, feat: 0, fix: 0, perf: 0, refactor: 0, other: 0, nonConventional: 0, breaking: 0, total: 0 };
+}
+
+function tallyWorkTypes(entry, parsed) {
+  entry[workTypeBucket(parsed)] += 1;
+  if (parsed?.breaking) entry.breaking += 1;
+  entry.total += 1;
+}
+
+function complianceRate(entry) {
+  return entry.total ? Math.round(((entry.total - entry.nonConventional) / entry.total) * 100) : null;
+}
+
+// Human commits only; bots follow their own templates and would skew compliance.
+function computeWorkTypes(commits) {
+  if (!commits.length) return null;
+  const overall = emptyWorkTypes("All");
+  const types = new Map();
+  const repos = new Map();
+  const members = new Map();
+  for (const commit of commits) {
+    const parsed = parseConventional(commit.title);
+    const repoName = commit.projectName || String(commit.projectId);
+    const memberName = resolveAuthorName(commit);
+    if (!repos.has(repoName)) repos.set(repoName, emptyWorkTypes(repoName));
+    if (!members.has(memberName)) members.set(memberName, emptyWorkTypes(memberName));
+    for (const entry of [overall, repos.get(repoName), members.get(memberName)]) tallyWorkTypes(entry, parsed);
+    if (parsed) types.set(parsed.type, (types.get(parsed.type) || 0) + 1);
+  }
+  const byTotal = (a, b) => b.total - a.total || a.name.localeCompare(b.name);
+  return {
+    overall,
+    compliance: complianceRate(overall),
+    types: [...types.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])),
+    repos: [...repos.values()].sort(byTotal),
+    members: [...members.values()].sort(byTotal)
+  };
+}
+
+const WORK_TYPE_HEADER = ["feat", "fix", "perf", "refactor", "other", "CC %"];
+
+function workTypeRows(entries, limit = 10) {
+  return entries.slice(0, limit).map(entry => [
+    entry.name,
+    ...WORK_TYPE_COLUMNS.map(type => formatCount(entry[type])),
+    formatCount(entry.other),
+    `${complianceRate(entry)}%`
+  ]);
+}
+
+function workTypeSummaryLines(workTypes) {
+  const lines = [`• Conventional Commits: ${workTypes.compliance}% (${formatCount(workTypes.overall.total - workTypes.overall.nonConventional)}/${formatCount(workTypes.overall.total)} commits)`];
+  if (workTypes.types.length) lines.push(`• Types: ${workTypes.types.map(([type, count]) => `${type} ${formatCount(count)}`).join(" · ")}`);
+  if (workTypes.overall.breaking) lines.push(`• ⚠️ Breaking changes: ${formatCount(workTypes.overall.breaking)}`);
+  return lines;
+}
+
+function formatWorkTypes(workTypes) {
+  if (!workTypes) return null;
+  const divider = ["----", ...WORK_TYPE_HEADER.map(label => "-".repeat(label.length))];
+  return [
+    "**🧭 Work Types**",
+    ...workTypeSummaryLines(workTypes),
+    "",
+    "*By repository*",
+    formatTable([["Repo", ...WORK_TYPE_HEADER], divider, ...workTypeRows(workTypes.repos)]),
+    "*By member*",
+    formatTable([["Member", ...WORK_TYPE_HEADER], ["------", ...divider.slice(1)], ...workTypeRows(workTypes.members)])
+  ].join("\n");
+}
+
+// Merged MR titles are the changelog source. Repos that merged no MRs (direct pushes)
+// fall back to their commit titles, deduplicated by subject.
+function computeChangelog(mrsMerged, commits) {
+  const repos = new Map();
+  const add = (item, parsed, reference) => {
+    if (!["feat", "fix"].includes(parsed?.type)) return;
+    const repoName = item.projectName || String(item.projectId);
+    if (!repos.has(repoName)) repos.set(repoName, { name: repoName, feat: [], fix: [], seen: new Set() });
+    const repo = repos.get(repoName);
+    const key = parsed.subject.replace(/\s*\(#\d+\)$/, "").toLowerCase();
+    if (repo.seen.has(key)) return;
+    repo.seen.add(key);
+    repo[parsed.type].push({ ...parsed, web_url: item.web_url || null, reference });
+  };
+  for (const mr of mrsMerged) add(mr, parseConventional(mr.title), isGithubProjectId(mr.projectId) ? `#${mr.iid}` : `!${mr.iid}`);
+  const reposWithMrs = new Set(mrsMerged.map(mr => mr.projectName || String(mr.projectId)));
+  for (const commit of commits) {
+    if (reposWithMrs.has(commit.projectName || String(commit.projectId))) continue;
+    add(commit, parseConventional(commit.title), commit.short_id || null);
+  }
+  const entries = [...repos.values()].filter(repo => repo.feat.length || repo.fix.length);
+  return entries.length ? entries.sort((a, b) => a.name.localeCompare(b.name)) : null;
+}
+
+function changelogEntry(item) {
+  const scope = item.scope ? `**${item.scope}:** ` : "";
+  const reference = item.reference ? (item.web_url ? ` ([${item.reference}](${item.web_url}))` : ` (${item.reference})`) : "";
+  return `• ${item.breaking ? "⚠️ BREAKING " : ""}${scope}${item.subject}${reference}`;
+}
+
+function changelogRepoLines(repo, limit = CHANGELOG_LIMIT) {
+  const lines = [];
+  for (const [type, heading] of [["feat", "Features"], ["fix", "Fixes"]]) {
+    if (!repo[type].length) continue;
+    lines.push(`*${heading}*`, ...repo[type].slice(0, limit).map(changelogEntry));
+    if (repo[type].length > limit) lines.push(`…and ${repo[type].length - limit} more.`);
+  }
+  return lines;
+}
+
+function formatChangelog(changelog) {
+  if (!changelog) return null;
+  return ["**📝 Changelog**", ...changelog.flatMap(repo => [`**${repo.name}**`, ...changelogRepoLines(repo)])].join("\n");
+}
+
+// Work is grouped by epic when metadata is available, otherwise by the key's project prefix.
+function computeTrackerWork({ mrsMerged, commits, issuesClosed }, metadata = new Map()) {
+  if (!trackers.length) return null;
+  const groups = new Map();
+  const tally = (items, counter) => {
+    for (const item of items) {
+      for (const ticket of ticketKeysFor(item)) {
+        const epic = metadata.get(ticket.key)?.epic;
+        const groupKey = epic ? epic.key : ticket.key.replace(/-\d+$/, "");
+        if (!groups.has(groupKey)) {
+          groups.set(groupKey, { key: groupKey, title: epic?.title || null, url: epic?.url || null, tickets: new Map(), mrs: 0, commits: 0, issues: 0 });
+        }
+        const group = groups.get(groupKey);
+        group.tickets.set(ticket.key, ticket);
+        group[counter] += 1;
+      }
+    }
+  };
+  tally(mrsMerged, "mrs");
+  tally(commits, "commits");
+  tally(issuesClosed, "issues");
+  if (!groups.size) return null;
+  return [...groups.values()].sort((a, b) => b.tickets.size - a.tickets.size || a.key.localeCompare(b.key));
+}
+
+function trackerWorkLines(work, limit = 10) {
+  const lines = work.slice(0, limit).map(group => {
+    const label = group.title && group.title !== group.key ? `${group.key} ${group.title}` : group.key;
+    const counts = [
+      `${formatCount(group.tickets.size)} ticket${group.tickets.size === 1 ? "" : "s"}`,
+      group.mrs ? `${formatCount(group.mrs)} PR${group.mrs === 1 ? "" : "s"}` : null,
+      group.commits ? `${formatCount(group.commits)} commit${group.commits === 1 ? "" : "s"}` : null,
+      group.issues ? `${formatCount(group.issues)} issue${group.issues === 1 ? "" : "s"} closed` : null
+    ].filter(Boolean);
+    const keys = [...group.tickets.values()].slice(0, 5).map(ticket => `[${ticket.key}](${ticketUrl(ticket)})`);
+    const more = group.tickets.size > keys.length ? ` +${group.tickets.size - keys.length}` : "";
+    return `• ${group.url ? `[${label}](${group.url})` : `**${label}**`} — ${counts.join(" · ")} (${keys.join(", ")}${more})`;
+  });
+  if (work.length > limit) lines.push(`…and ${work.length - limit} more.`);
+  return lines;
+}
+
+function formatTrackerWork(work) {
+  if (!work) return null;
+  return ["**🎫 Tracker Work**", ...trackerWorkLines(work)].join("\n");
+}
+
+function formatMajorFeatures(mrs, { limit = 5, heading = "**✨ Major Features Shipped**" } = {}) {
+  if (!mrs.length) return null;
+  const sorted = [...mrs].sort((a, b) => {
+    const aTime = a.merged_at || a.updated_at || a.created_at;
+    const bTime = b.merged_at || b.updated_at || b.created_at;
+    return dayjs(bTime).valueOf() - dayjs(aTime).valueOf();
+  });
+  const top = sorted.slice(0, limit);
+  const lines = [heading];
+  for (const mr of top) {
+    const title = mr.title || `Merge Request #${mr.iid || mr.id || "?"}`;
+    const mrLink = mr.web_url ? `[${title}](${mr.web_url})` : title;
+    const project = mr.projectName ? ` (${mr.projectName})` : "";
+    lines.push(`• ${mrLink}${project}${formatTicketLinks(mr)}`);
+  }
+  if (sorted.length > top.length) {
+    const remaining = sorted.length - top.length;
+    lines.push(`…and ${remaining} more merged PR${remaining === 1 ? "" : "s"}.`);
+  }
+  return lines.join("\n");
+}
+
+// A configured label matches exactly, or as the value of a scoped label:
+// "bug" matches "bug", "type::bug", "type: bug" and "kind/bug".
+function labelMatches(label, wanted) {
+  const value = String(label || "").trim().toLowerCase();
+  if (value === wanted) return true;
+  if (LABEL_SCOPE_PATTERN.test(wanted)) return false;
+  return value.split(LABEL_SCOPE_PATTERN).pop().trim() === wanted;
+}
+
+function classifyIssue(issue) {
+  const labels = issue.labels || [];
+  for (const { category, labels: wanted } of ISSUE_CATEGORY_LABELS) {
+    if (labels.some(label => wanted.some(entry => labelMatches(label, entry)))) return category;
+  }
+  return labels.length ? "other" : ISSUE_UNLABELLED_CATEGORY;
+}
+
+// Severity/priority values from scoped labels ("severity::high", "priority: P2")
+// and the P1/S2 shorthand.
+function issueRanks(issue) {
+  const ranks = {};
+  for (const label of issue.labels || []) {
+    const text = String(label).trim();
+    const scoped = /^(.+?)\s*(?:::|:|\/)\s*(.+)$/.exec(text);
+    if (scoped && ISSUE_RANK_SCOPES.includes(scoped[1].toLowerCase())) {
+      ranks[scoped[1].toLowerCase()] = scoped[2].toLowerCase();
+      continue;
+    }
+    const shorthand = /^([ps])(\d)$/i.exec(text);
+    if (!shorthand) continue;
+    const scope = shorthand[1].toLowerCase() === "p" ? "priority" : "severity";
+    if (ISSUE_RANK_SCOPES.includes(scope) && !ranks[scope]) ranks[scope] = text.toUpperCase();
+  }
+  return ranks;
+}
+
+const RANK_WORDS = ["blocker", "critical", "urgent", "highest", "high", "medium", "normal", "low", "lowest", "minor", "trivial"];
+
+function rankSortKey(value) {
+  const digits = /\d+/.exec(value);
+  if (digits) return Number(digits[0]);
+  const index = RANK_WORDS.indexOf(value.toLowerCase());
+  return index === -1 ? RANK_WORDS.length : index;
+}
+
+function computeIssueBreakdown(issuesOpened, issuesClosed) {
+  const bugsOpened = issuesOpened.filter(issue => classifyIssue(issue) === "bug");
+  const bugsClosed = issuesClosed.filter(issue => classifyIssue(issue) === "bug");
+  const bugs = new Map([...bugsOpened, ...bugsClosed].map(issue => [issue.id, issue]));
+  const ranks = ISSUE_RANK_SCOPES.map(scope => {
+    const counts = new Map();
+    for (const issue of bugs.values()) {
+      const value = issueRanks(issue)[scope];
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return {
+      scope,
+      counts: [...counts.entries()].sort((a, b) => rankSortKey(a[0]) - rankSortKey(b[0]) || a[0].localeCompare(b[0]))
+    };
+  }).filter(entry => entry.counts.length);
+  const categories = [...ISSUE_CATEGORY_LABELS.map(entry => entry.category), "other"]
+    .filter((category, index, list) => category !== "bug" && list.indexOf(category) === index)
+    .map(category => ({
+      category,
+      opened: issuesOpened.filter(issue => classifyIssue(issue) === category).length,
+      closed: issuesClosed.filter(issue => classifyIssue(issue) === category).length
+    }))
+    .filter(entry => entry.opened || entry.closed);
+  return { bugsOpened, bugsClosed, ranks, categories };
+}
+
+function categoryLabel(category) {
+  const plural = category.endsWith("s") || category === "other" ? category : `${category}s`;
+  return plural.charAt(0).toUpperCase() + plural.slice(1);
+}
+
+function issueBreakdownRows({ ranks, categories }) {
+  return [
+    ...ranks.map(({ scope, counts }) => [
+      scope.charAt(0).toUpperCase() + scope.slice(1),
+      counts.map(([value, count]) => `${value} ${formatCount(count)}`).join(" · ")
+    ]),
+    ...categories.map(entry => [categoryLabel(entry.category), `${formatCount(entry.closed)} closed · ${formatCount(entry.opened)} opened`])
+  ];
+}
+
+function computeBugStats(issuesOpened, issuesClosed) {
+  const sameDay = issuesClosed.filter(issue => {
+    if (!issue.closed_at || !issue.created_at) return false;
+    const diffHours = dayjs(issue.closed_at).diff(dayjs(issue.created_at), "hour", true);
+    return diffHours <= 24;
+  }).length;
+  return { sameDay, fixedCount: issuesClosed.length, openedCount: issuesOpened.length };
+}
+
+function formatBugActivity(issuesOpened, issuesClosed) {
+  const breakdown = computeIssueBreakdown(issuesOpened, issuesClosed);
+  const { sameDay, fixedCount, openedCount } = computeBugStats(breakdown.bugsOpened, breakdown.bugsClosed);
+  const sameDayValue = fixedCount
+    ? `${formatCount(sameDay)}/${formatCount(fixedCount)}`
+    : "0";
+
+  const rows = [
+    ["Fixed", `${formatCount(fixedCount)} bug${fixedCount === 1 ? "" : "s"}`],
+    ["Same-day fixes", sameDayValue],
+    ["Opened", `${formatCount(openedCount)} bug${openedCount === 1 ? "" : "s"}`],
+    ...issueBreakdownRows(breakdown)
+  ];
+
+  const lines = ["**🐛 Bug Activity**", formatTable(rows)];
+
+  const highlights = breakdown.bugsClosed.slice(0, 3);
+  if (highlights.length) {
+    lines.push("**Highlights**");
+    highlights.forEach(issue => {
+      const title = issue.title || `Issue #${issue.iid || issue.id || "?"}`;
+      lines.push(`• ${title}${formatTicketLinks(issue)}`);
+    });
+  } else if (!fixedCount && !openedCount) {
+    lines.push("_No bug activity recorded in this window._");
+  }
+  return lines.join("\n");
+}
+
+function isUntriagedIssue(issue) {
+  const labels = issue.labels || [];
+  return !labels.length || labels.some(label => BACKLOG_UNTRIAGED_LABELS.some(wanted => labelMatches(label, wanted)));
+}
+
+// The strictest deadline among the issue's priority/severity values and plain labels.
+function issueSlaDays(issue) {
+  const candidates = [...Object.values(issueRanks(issue)), ...(issue.labels || [])].map(value => String(value).toLowerCase());
+  const deadlines = candidates.filter(value => ISSUE_SLA_DAYS.has(value)).map(value => ISSUE_SLA_DAYS.get(value));
+  return deadlines.length ? { days: Math.min(...deadlines), label: candidates.find(value => ISSUE_SLA_DAYS.get(value) === Math.min(...deadlines)) } : null;
+}
+
+function backlogBucketLabels() {
+  return [
+    `≤${BACKLOG_AGE_DAYS[0]}d`,
+    ...BACKLOG_AGE_DAYS.slice(1).map((days, index) => `${BACKLOG_AGE_DAYS[index]}–${days}d`),
+    `>${BACKLOG_AGE_DAYS[BACKLOG_AGE_DAYS.length - 1]}d`
+  ];
+}
+
+function computeBacklogHealth(results, now = dayjs()) {
+  const tracked = results.filter(project => Array.isArray(project.openIssues));
+  if (!tracked.length) return null;
+  const buckets = backlogBucketLabels().map(label => ({ label, count: 0 }));
+  const breaches = [];
+  const repos = tracked.map(project => {
+    let oldestDays = null;
+    for (const issue of project.openIssues) {
+      const ageDays = now.diff(dayjs(issue.created_at), "day", true);
+      const index = BACKLOG_AGE_DAYS.findIndex(days => ageDays <= days);
+      buckets[index === -1 ? buckets.length - 1 : index].count += 1;
+      if (oldestDays === null || ageDays > oldestDays) oldestDays = ageDays;
+      const sla = issueSlaDays(issue);
+      if (sla && ageDays > sla.days) breaches.push({ issue, ageDays, sla });
+    }
+    return {
+      project,
+      open: project.openIssues.length,
+      net: project.issuesOpened.length - project.issuesClosed.length,
+      unassigned: project.openIssues.filter(issue => !issue.people.length).length,
+      untriaged: project.openIssues.filter(isUntriagedIssue).length,
+      oldestDays
+    };
+  });
+  const sum = key => repos.reduce((total, repo) => total + repo[key], 0);
+  return {
+    open: sum("open"),
+    opened: tracked.reduce((total, project) => total + project.issuesOpened.length, 0),
+    closed: tracked.reduce((total, project) => total + project.issuesClosed.length, 0),
+    net: sum("net"),
+    unassigned: sum("unassigned"),
+    untriaged: sum("untriaged"),
+    buckets,
+    breaches: breaches.sort((a, b) => (b.ageDays - b.sla.days) - (a.ageDays - a.sla.days)),
+    repos: repos.filter(repo => repo.open || repo.net).sort((a, b) => b.open - a.open || b.net - a.net)
+  };
+}
+
+function milestoneBurndown(items, start, end, points = 14) {
+  const span = Math.max(0, end.diff(start, "day"));
+  const steps = Math.min(points, span + 1);
+  return Array.from({ length: steps }, (_, index) => {
+    const at = steps === 1 ? end : start.add((span * index) / (steps - 1), "day").endOf("day");
+    return items.filter(item =>
+      !dayjs(item.created_at).isAfter(at) && !(item.closed_at && !dayjs(item.closed_at).isAfter(at))
+    ).length;
+  });
+}
+
+// Projection uses the close rate over the last MILESTONE_RATE_DAYS (or since the start, if more recent);
+// no recent closes means no projection.
+function computeMilestoneProgress(milestones, now = dayjs().tz(REPORT_TZ)) {
+  const entries = milestones
+    .filter(milestone => milestone.items.length)
+    .map(milestone => {
+      const total = milestone.items.length;
+      const closed = milestone.items.filter(item => item.closed_at).length;
+      const remaining = total - closed;
+      const due = milestone.due_date ? dayjs.tz(milestone.due_date, REPORT_TZ).endOf("day") : null;
+      const createdDates = milestone.items.map(item => dayjs(item.created_at).valueOf());
+      const start = milestone.start_date
+        ? dayjs.tz(String(milestone.start_date).slice(0, 10), REPORT_TZ).startOf("day")
+        : dayjs(Math.min(...createdDates)).tz(REPORT_TZ).startOf("day");
+      const rateDays = Math.min(MILESTONE_RATE_DAYS, Math.max(1, now.diff(start, "day", true)));
+      const rateFrom = now.subtract(rateDays, "day");
+      const recentCloses = milestone.items.filter(item => item.closed_at && dayjs(item.closed_at).isAfter(rateFrom)).length;
+      const perDay = recentCloses / rateDays;
+      const projected = remaining === 0 ? now : perDay > 0 ? now.add(Math.ceil(remaining / perDay), "day") : null;
+      const daysRemaining = due ? due.diff(now, "day", true) : null;
+      const atRisk = remaining > 0 && Boolean(due) && (daysRemaining < 0 || !projected || projected.isAfter(due));
+      return {
+        ...milestone,
+        total,
+        closed,
+        percent: Math.round((closed / total) * 100),
+        daysRemaining,
+        projected,
+        atRisk,
+        burndown: milestoneBurndown(milestone.items, start, due && due.isBefore(now) ? due : now)
+      };
+    });
+  if (!entries.length) return null;
+  return entries.sort((a, b) =>
+    Number(b.atRisk) - Number(a.atRisk) ||
+    (a.daysRemaining ?? Infinity) - (b.daysRemaining ?? Infinity) ||
+    a.title.localeCompare(b.title)
+  );
+}
+
+function describeMilestone(milestone) {
+  const label = milestone.web_url ? `[${milestone.title}](${milestone.web_url})` : milestone.title;
+  const details = [`${milestone.percent}% (${formatCount(milestone.closed)}/${formatCount(milestone.total)})`];
+  if (milestone.daysRemaining === null) details.push("no due date");
+  else if (milestone.daysRemaining < 0) details.push(`${Math.ceil(-milestone.daysRemaining)}d overdue`);
+  else details.push(`${Math.ceil(milestone.daysRemaining)}d left`);
+  const projection = milestone.closed === milestone.total
+    ? "done"
+    : milestone.projected ? `projected ${milestone.projected.format("MMM D")}` : "no recent progress";
+  const kind = milestone.kind === "iteration" ? "iteration, " : "";
+  return [
+    `• ${milestone.atRisk ? "⚠️ " : ""}${label} (${kind}${milestone.scope}) — ${details.join(" · ")}`,
+    `  ◦ Burndown ${sparkline(milestone.burndown)} · ${projection}${milestone.due_date ? ` · due ${dayjs(milestone.due_date).format("MMM D")}` : ""}`
+  ];
+}
+
+function milestoneLines(milestones, limit = MILESTONE_LIMIT) {
+  const lines = milestones.slice(0, limit).flatMap(describeMilestone);
+  if (milestones.length > limit) lines.push(`…and ${milestones.length - limit} more active milestones.`);
+  return lines;
+}
+
+function formatMilestoneProgress(milestones) {
+  if (!milestones) return null;
+  const atRisk = milestones.filter(milestone => milestone.atRisk).length;
+  return [
+    "**🎯 Milestones**",
+    `_${formatCount(milestones.length)} active${atRisk ? ` · ⚠️ ${formatCount(atRisk)} at risk` : ""}_`,
+    ...milestoneLines(milestones)
+  ].join("\n");
+}
+
+function formatSignedCount(value) {
+  return `${value > 0 ? "+" : ""}${formatCount(value)}`;
+}
+
+function backlogRows(backlog) {
+  return [
+    ["Open issues", formatCount(backlog.open)],
+    ["Net change", `${formatSignedCount(backlog.net)} (${formatCount(backlog.opened)} opened, ${formatCount(backlog.closed)} closed)`],
+    ["Unassigned", formatCount(backlog.unassigned)],
+    ["Untriaged", formatCount(backlog.untriaged)],
+    ["Age", backlog.buckets.map(bucket => `${bucket.label}: ${formatCount(bucket.count)}`).join(" · ")]
+  ];
+}
+
+function slaBreachLines(backlog, limit = ISSUE_SLA_LIMIT) {
+  const lines = backlog.breaches.slice(0, limit).map(({ issue, ageDays, sla }) => {
+    const assignees = [...new Set(issue.people.map(resolveAuthorName))];
+    const title = issue.web_url ? `[${issue.title}](${issue.web_url})` : issue.title;
+    const owner = assignees.length ? `assignee: ${assignees.join(", ")}` : "unassigned";
+    return `• ${title} (${issue.projectName}) — ${sla.label} · ${Math.floor(ageDays)}d open (SLA ${sla.days}d) · ${owner}`;
+  });
+  if (backlog.breaches.length > limit) lines.push(`…and ${backlog.breaches.length - limit} more breaches.`);
+  return lines;
+}
+
+function backlogRepoRows(backlog, limit = 10) {
+  return backlog.repos.slice(0, limit).map(repo => [
+    repo.project.projectName,
+    formatCount(repo.open),
+    formatSignedCount(repo.net),
+    formatCount(repo.unassigned),
+    formatCount(repo.untriaged),
+    repo.oldestDays === null ? "–" : `${Math.floor(repo.oldestDays)}d`
+  ]);
+}
+
+function formatBacklogHealth(backlog) {
+  if (!backlog) return null;
+  const lines = ["**📋 Issue Backlog**", formatTable(backlogRows(backlog))];
+  if (backlog.breaches.length) lines.push(`**⏰ SLA breaches (${formatCount(backlog.breaches.length)})**`, ...slaBreachLines(backlog));
+  if (backlog.repos.length > 1) {
+    const rows = [["Repo", "Open", "Net", "Unassigned", "Untriaged", "Oldest"], ["----", "----", "---", "----------", "---------", "------"], ...backlogRepoRows(backlog)];
+    lines.push("", "*By repository*", formatTable(rows));
+  }
+  return lines.join("\n");
+}
+
+function computePipelineHealth(results) {
+  const pipelines = results.flatMap(project => project.pipelines || []);
+  const broken = results.filter(project => project.defaultBranchStatus?.status === "failed");
+  if (!pipelines.length && !broken.length) return null;
+  const finished = pipelines.filter(pipeline => pipeline.status === "success" || pipeline.status === "failed");
+  const succeeded = finished.filter(pipeline => pipeline.status === "success").length;
+  const flaky = new Map();
+  for (const pipeline of pipelines) {
+    for (const job of pipeline.flakyJobs || []) {
+      const key = `${pipeline.projectName} › ${job}`;
+      flaky.set(key, (flaky.get(key) || 0) + 1);
+    }
+  }
+  return {
+    total: pipelines.length,
+    finished: finished.length,
+    successRate: finished.length ? Math.round((succeeded / finished.length) * 100) : null,
+    failedDefault: pipelines.filter(pipeline => pipeline.isDefaultBranch && pipeline.status === "failed"),
+    medianDurationMinutes: median(pipelines.map(pipeline => pipeline.durationSeconds).filter(value => value !== null).map(value => value / 60)),
+    flakyJobs: [...flaky.entries()].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    brokenBranches: broken.map(project => ({ project, ...project.defaultBranchStatus })),
+    skippedRuns: results.reduce((sum, project) => sum + (project.skippedRuns || 0), 0)
+  };
+}
+
+function brokenBranchLines(health) {
+  return health.brokenBranches.map(branch => {
+    const label = branch.web_url ? `[${branch.project.projectName}](${branch.web_url})` : branch.project.projectName;
+    return `• 🔴 ${label} — \`${branch.ref}\`${branch.failing.length ? ` (${branch.failing.join(", ")})` : ""}`;
+  });
+}
+
+function flakyJobLines(health, limit = 5) {
+  return health.flakyJobs.slice(0, limit).map(job => `• ${job.name} — passed on retry ${job.count}×`);
+}
+
+function skippedRunsNote(health) {
+  return `_${formatCount(health.skippedRuns)} older GitHub workflow run${health.skippedRuns === 1 ? " was" : "s were"} past the API's 1,000-run limit and left out._`;
+}
+
+function formatPipelineHealth(health) {
+  if (!health) return null;
+  const rows = [
+    ["Pipelines", formatCount(health.total)],
+    ["Success rate", health.successRate === null ? "–" : `${health.successRate}%`],
+    ["Failed on default", formatCount(health.failedDefault.length)],
+    ["Median duration", health.medianDurationMinutes === null ? "–" : `${health.medianDurationMinutes.toFixed(1)} min`]
+  ];
+  const lines = ["**🛠️ CI/CD Health**", formatTable(rows)];
+  if (health.skippedRuns) lines.push(skippedRunsNote(health));
+  if (health.brokenBranches.length) lines.push("**Broken default branches**", ...brokenBranchLines(health));
+  if (health.flakyJobs.length) lines.push("**Flakiest jobs**", ...flakyJobLines(health));
+  return lines.join("\n");
+}
+
+const DORA_TIERS = ["Elite", "High", "Medium", "Low"];
+const DORA_TIER_ICONS = { Elite: "🟢", High: "🔵", Medium: "🟡", Low: "🔴" };
+
+// Thresholds follow the DORA report bands; each list is [elite, high, medium] and anything beyond is low.
+function doraTier(value, thresholds, higherIsBetter = false) {
+  if (value === null || value === undefined) return null;
+  const index = thresholds.findIndex(limit => (higherIsBetter ? value >= limit : value <= limit));
+  return DORA_TIERS[index === -1 ? 3 : index];
+}
+
+function isIncidentLabelled(item) {
+  return (item.labels || []).some(label => DORA_INCIDENT_LABELS.includes(String(label).toLowerCase()));
+}
+
+function isRemediationMr(mr) {
+  return isIncidentLabelled(mr) || /^revert\b/i.test(mr.title || "") || /^hotfix[/-]/i.test(mr.source_branch || "");
+}
+
+// Signals that a deployment went wrong: incident issues, hotfix/revert MRs and revert commits.
+function collectFailureSignals(project) {
+  const issues = new Map();
+  for (const issue of [...project.issuesOpened, ...(project.monthIssuesOpened || []), ...project.issuesClosed]) {
+    if (isIncidentLabelled(issue)) issues.set(issue.id, issue);
+  }
+  return [
+    ...[...issues.values()].map(issue => ({ at: issue.created_at, resolvedAt: issue.closed_at || null })),
+    ...project.mrsMerged.filter(isRemediationMr).map(mr => ({ at: mr.created_at, resolvedAt: null })),
+    ...project.commits.filter(commit => /^revert "/i.test(commit.title || "")).map(commit => ({ at: commit.created_at, resolvedAt: null }))
+  ].filter(signal => signal.at);
+}
+
+function computeProjectDora(project, since, until) {
+  const deployments = [...(project.deployments || [])]
+    .filter(deployment => deployment.deployed_at)
+    .sort((a, b) => dayjs(a.deployed_at).valueOf() - dayjs(b.deployed_at).valueOf());
+  const inWindow = deployments.filter(deployment => {
+    const at = dayjs(deployment.deployed_at);
+    return !at.isBefore(since) && !at.isAfter(until);
+  });
+  if (!inWindow.length) return null;
+
+  const leadTimes = project.mrsMerged.map(mr => {
+    const start = mr.firstCommitAt || mr.created_at;
+    const shipped = deployments.find(deployment => !dayjs(deployment.deployed_at).isBefore(dayjs(mr.merged_at)));
+    return start && shipped ? Math.max(0, dayjs(shipped.deployed_at).diff(dayjs(start), "hour", true)) : null;
+  });
+
+  const signals = collectFailureSignals(project);
+  let failed = 0;
+  const restoreHours = [];
+  for (const deployment of inWindow) {
+    const deployedAt = dayjs(deployment.deployed_at);
+    const next = deployments.find(candidate => dayjs(candidate.deployed_at).isAfter(deployedAt));
+    let cutoff = deployedAt.add(DORA_FAILURE_WINDOW_HOURS, "hour");
+    if (next && dayjs(next.deployed_at).isBefore(cutoff)) cutoff = dayjs(next.deployed_at);
+    const hits = signals
+      .filter(signal => dayjs(signal.at).isAfter(deployedAt) && !dayjs(signal.at).isAfter(cutoff))
+      .sort((a, b) => dayjs(a.at).valueOf() - dayjs(b.at).valueOf());
+    if (!hits.length) continue;
+    failed += 1;
+    // Restored by the next deployment after the first signal, or when the incident was closed.
+    const signalAt = dayjs(hits[0].at);
+    const fix = deployments.find(candidate => dayjs(candidate.deployed_at).isAfter(signalAt));
+    const restored = [fix?.deployed_at, ...hits.map(hit => hit.resolvedAt)]
+      .filter(Boolean)
+      .map(date => dayjs(date))
+      .filter(date => date.isAfter(signalAt))
+      .sort((a, b) => a.valueOf() - b.valueOf())[0];
+    if (restored) restoreHours.push(restored.diff(signalAt, "hour", true));
+  }
+
+  return {
+    deployments: inWindow.length,
+    source: inWindow[0].source,
+    leadTimes: leadTimes.filter(value => value !== null),
+    failed,
+    restoreHours
+  };
+}
+
+function summarizeDora(stats, days) {
+  const perDay = stats.deployments / days;
+  const leadHours = median(stats.leadTimes);
+  const failureRate = stats.deployments ? Math.round((stats.failed / stats.deployments) * 100) : null;
+  const restoreHours = median(stats.restoreHours);
+  const tiers = {
+    frequency: doraTier(perDay, [1, 1 / 7, 1 / 30], true),
+    leadTime: doraTier(leadHours, [24, 168, 720]),
+    failureRate: doraTier(failureRate, [15, 30, 45]),
+    restore: doraTier(restoreHours, [1, 24, 168])
+  };
+  // The overall tier is held back by the weakest measured metric.
+  const measured = Object.values(tiers).filter(Boolean);
+  const overall = measured.length ? DORA_TIERS[Math.max(...measured.map(tier => DORA_TIERS.indexOf(tier)))] : null;
+  return { deployments: stats.deployments, perDay, leadHours, failed: stats.failed, failureRate, restoreHours, tiers, overall };
+}
+
+function computeDoraMetrics(results, { since, until }) {
+  const sinceMoment = dayjs(since);
+  const untilMoment = dayjs(until);
+  const days = Math.max(1, untilMoment.diff(sinceMoment, "day", true));
+  const repos = results
+    .map(project => ({ project, stats: computeProjectDora(project, sinceMoment, untilMoment) }))
+    .filter(entry => entry.stats);
+  if (!repos.length) return null;
+  const rollup = summarizeDora({
+    deployments: repos.reduce((sum, entry) => sum + entry.stats.deployments, 0),
+    leadTimes: repos.flatMap(entry => entry.stats.leadTimes),
+    failed: repos.reduce((sum, entry) => sum + entry.stats.failed, 0),
+    restoreHours: repos.flatMap(entry => entry.stats.restoreHours)
+  }, days);
+  return {
+    ...rollup,
+    environment: DORA_ENVIRONMENT,
+    usesReleases: repos.some(entry => entry.stats.source === "release"),
+    repos: repos
+      .map(entry => ({ project: entry.project, ...summarizeDora(entry.stats, days) }))
+      .sort((a, b) => b.deployments - a.deployments || String(a.project.projectName).localeCompare(String(b.project.projectName)))
+  };
+}
+
+function formatDoraHours(hours) {
+  if (hours === null) return "–";
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  if (hours < 48) return `${hours.toFixed(1)}h`;
+  return `${(hours / 24).toFixed(1)}d`;
+}
+
+function formatDeployRate(perDay) {
+  return perDay >= 1 ? `${perDay.toFixed(1)}/day` : `${(perDay * 7).toFixed(1)}/week`;
+}
+
+function formatDoraTier(tier) {
+  return tier ? `${DORA_TIER_ICONS[tier]} ${tier}` : "–";
+}
+
+function doraMetricRows(dora) {
+  return [
+    ["Deploy frequency", `${formatCount(dora.deployments)} (${formatDeployRate(dora.perDay)})`, formatDoraTier(dora.tiers.frequency)],
+    ["Lead time", formatDoraHours(dora.leadHours), formatDoraTier(dora.tiers.leadTime)],
+    ["Change failure rate", dora.failureRate === null ? "–" : `${dora.failureRate}% (${dora.failed}/${dora.deployments})`, formatDoraTier(dora.tiers.failureRate)],
+    ["Time to restore", formatDoraHours(dora.restoreHours), formatDoraTier(dora.tiers.restore)]
+  ];
+}
+
+function doraRepoRows(dora, limit = 10) {
+  return dora.repos.slice(0, limit).map(repo => [
+    repo.project.projectName,
+    formatCount(repo.deployments),
+    formatDoraHours(repo.leadHours),
+    repo.failureRate === null ? "–" : `${repo.failureRate}%`,
+    formatDoraHours(repo.restoreHours),
+    repo.overall || "–"
+  ]);
 }
 
-function groupCommitsByAuthor(commits) {
-  return [...groupItemsByAuthor(commits).entries()].sort((a, b) => b[1] - a[1]);
+function doraFootnote(dora) {
+  return `_Deployments to \`${dora.environment}\`${dora.usesReleases ? " (releases where no deployments exist)" : ""}. Overall: ${formatDoraTier(dora.overall)}_`;
 }
 
-function isGithubProjectId(id) {
-  return String(id).includes("/");
+function formatDoraMetrics(dora) {
+  if (!dora) return null;
+  const lines = [
+    "**🚦 DORA Metrics**",
+    formatTable([["Metric", "Value", "Tier"], ["------", "-----", "----"], ...doraMetricRows(dora)]),
+    doraFootnote(dora)
+  ];
+  if (dora.repos.length > 1) {
+    const rows = [["Repo", "Deploys", "Lead", "CFR", "MTTR", "Tier"], ["----", "-------", "----", "---", "----", "----"], ...doraRepoRows(dora)];
+    lines.push("", "*By repository*", formatTable(rows));
+  }
+  return lines.join("\n");
 }
 
-function formatCount(n) {
-  const num = Number(n) || 0;
-  return num.toLocaleString("en-US");
+function parseSemver(tag) {
+  const match = /^v?(\d+)\.(\d+)(?:\.(\d+))?(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/i.exec(String(tag || "").trim());
+  if (!match) return null;
+  return { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3] || 0), prerelease: Boolean(match[4]) };
 }
 
-function formatTable(rows) {
-  if (!rows.length) return "";
-  const widths = [];
-  rows.forEach(row => {
-    row.forEach((cell, idx) => {
-      const text = String(cell);
-      widths[idx] = Math.max(widths[idx] || 0, text.length);
+function semverBump(previousTag, tag) {
+  const current = parseSemver(tag);
+  if (!current) return null;
+  if (current.prerelease) return "pre-release";
+  const previous = parseSemver(previousTag);
+  if (!previous) return null;
+  if (current.major !== previous.major) return current.major > previous.major ? "major" : null;
+  if (current.minor !== previous.minor) return current.minor > previous.minor ? "minor" : null;
+  return current.patch > previous.patch ? "patch" : null;
+}
+
+// Keeps the releases inside the window and links each one to the release before it.
+function trackReleases(entries, since, until) {
+  const sorted = entries
+    .filter(entry => entry.released_at)
+    .sort((a, b) => dayjs(a.released_at).valueOf() - dayjs(b.released_at).valueOf());
+  return sorted
+    .map((entry, index) => {
+      const previous = sorted[index - 1] || null;
+      return {
+        ...entry,
+        previousTag: previous?.tag || null,
+        previousAt: previous?.released_at || null,
+        bump: entry.prerelease ? "pre-release" : semverBump(previous?.tag, entry.tag),
+        mrCount: null
+      };
+    })
+    .filter(entry => {
+      const at = dayjs(entry.released_at);
+      return !at.isBefore(since) && !at.isAfter(until);
     });
-  });
-  const lines = rows.map(row =>
-    row.map((cell, idx) => {
-      const text = String(cell);
-      if (idx === row.length - 1) return text;
-      const pad = widths[idx] - text.length;
-      return text + " ".repeat(pad + 2);
-    }).join("")
-  );
-  return `\`\`\`text\n${lines.join("\n")}\n\`\`\``;
 }
 
-function formatTeamMetrics({
-  organizationSummary,
-  totalMRMerged,
-  totalMROpened,
-  totalCommits,
-  totalIssuesOpened,
-  totalIssuesClosed,
-  totalIssuesOpenedMonth,
-  totalIssuesClosedMonth,
-  activeRepos,
-  contributors
-}) {
-  const rows = [
-    ["Organizations", organizationSummary],
-    ["PRs Merged", formatCount(totalMRMerged)],
-    ["PRs Opened", formatCount(totalMROpened)],
-    ["Commits", formatCount(totalCommits)],
-    ["Issues Opened (day)", formatCount(totalIssuesOpened)],
-    ["Issues Closed (day)", formatCount(totalIssuesClosed)],
-    ["Issues Opened (month)", formatCount(totalIssuesOpenedMonth)],
-    ["Issues Closed (month)", formatCount(totalIssuesClosedMonth)],
-    ["Active Repos", formatCount(activeRepos)],
-    ["Contributors", formatCount(contributors)]
-  ];
-  return [
-    "**⚙️ Team Metrics**",
-    "_Totals combine GitLab + GitHub repositories_",
-    formatTable(rows)
-  ].join("\n");
+function earliestPreviousRelease(releases) {
+  const dates = releases.map(release => release.previousAt).filter(Boolean).map(date => dayjs(date));
+  return dates.length ? dates.reduce((earliest, date) => (date.isBefore(earliest) ? date : earliest)) : null;
 }
 
-function buildMemberSummaries({ commits, mrsMerged, mrsOpened, issuesOpened, issuesClosed }) {
-  const totalCommits = commits.length;
-  const members = new Map();
+function countReleaseMrs(releases, mergedMrs) {
+  for (const release of releases) {
+    if (!release.previousAt) continue;
+    const from = dayjs(release.previousAt);
+    const to = dayjs(release.released_at);
+    release.mrCount = mergedMrs.filter(mr => mr.merged_at && dayjs(mr.merged_at).isAfter(from) && !dayjs(mr.merged_at).isAfter(to)).length;
+  }
+  return releases;
+}
 
-  const ensure = name => {
-    if (!members.has(name)) {
-      members.set(name, {
-        name,
-        commits: 0,
-        commitPct: 0,
-        mergedMrs: 0,
-        openedMrs: 0,
-        issuesOpened: 0,
-        issuesClosed: 0
-      });
-    }
-    return members.get(name);
-  };
+function releaseExcerpt(notes, limit = RELEASE_NOTES_EXCERPT) {
+  if (!limit) return "";
+  const text = String(notes || "")
+    .split("\n")
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("#") && !/^(\*\*)?full changelog/i.test(line))
+    .map(line => line
+      .replace(/^[-*+]\s+/, "")
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\s+in\s+https?:\/\/\S+$/i, "")
+      .replace(/https?:\/\/\S+/g, "")
+      .replace(/[*_`]/g, "")
+      .trim())
+    .filter(Boolean)
+    .join(" · ");
+  return text.length > limit ? `${text.slice(0, limit - 1).trimEnd()}…` : text;
+}
 
-  for (const commit of commits) {
-    const name = resolveAuthorName(commit);
-    const entry = ensure(name);
-    entry.commits += 1;
-  }
+function describeRelease(release) {
+  const details = [];
+  if (release.bump) details.push(release.bump);
+  if (release.mrCount === null) details.push("first release");
+  else details.push(`${formatCount(release.mrCount)} PR${release.mrCount === 1 ? "" : "s"} since ${release.previousTag}`);
+  const label = release.web_url ? `[${release.tag}](${release.web_url})` : release.tag;
+  return `• ${label} (${release.projectName}) — ${details.join(" · ")}`;
+}
 
-  for (const mr of mrsMerged) {
-    const name = resolveAuthorName(mr);
-    const entry = ensure(name);
-    entry.mergedMrs += 1;
+function releaseLines(releases, limit = RELEASE_HIGHLIGHT_LIMIT) {
+  const lines = [];
+  for (const release of releases.slice(0, limit)) {
+    lines.push(describeRelease(release));
+    const excerpt = releaseExcerpt(release.notes);
+    if (excerpt) lines.push(`  ◦ ${excerpt}`);
   }
+  if (releases.length > limit) lines.push(`…and ${releases.length - limit} more release${releases.length - limit === 1 ? "" : "s"}.`);
+  return lines;
+}
 
-  for (const mr of mrsOpened) {
-    const name = resolveAuthorName(mr);
-    const entry = ensure(name);
-    entry.openedMrs += 1;
-  }
+function releaseSummaryLine(releases) {
+  const counts = ["major", "minor", "patch", "pre-release"]
+    .map(bump => [bump, releases.filter(release => release.bump === bump).length])
+    .filter(([, count]) => count)
+    .map(([bump, count]) => `${count} ${bump}`);
+  return `_${formatCount(releases.length)} release${releases.length === 1 ? "" : "s"}${counts.length ? ` · ${counts.join(" · ")}` : ""}_`;
+}
 
-  for (const issue of issuesOpened) {
-    const name = resolveAuthorName(issue);
-    const entry = ensure(name);
-    entry.issuesOpened += 1;
-  }
+function formatReleases(releases) {
+  if (!releases.length) return null;
+  return ["**🏷️ Releases**", releaseSummaryLine(releases), ...releaseLines(releases)].join("\n");
+}
 
-  for (const issue of issuesClosed) {
-    const name = resolveAuthorName(issue);
-    const entry = ensure(name);
-    entry.issuesClosed += 1;
-  }
+function computeMergeRate(totalMRMerged, totalMROpened) {
+  const denominator = totalMROpened || totalMRMerged || 1;
+  return Math.round((totalMRMerged / denominator) * 100);
+}
 
-  const summaries = [...members.values()];
-  summaries.forEach(entry => {
-    entry.commitPct = totalCommits ? Math.round((entry.commits / totalCommits) * 100) : 0;
-  });
+function median(values) {
+  const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
 
-  return summaries.sort((a, b) => {
-    if (b.mergedMrs !== a.mergedMrs) return b.mergedMrs - a.mergedMrs;
-    if (b.commits !== a.commits) return b.commits - a.commits;
-    if (b.issuesClosed !== a.issuesClosed) return b.issuesClosed - a.issuesClosed;
-    return a.name.localeCompare(b.name);
-  });
+function computeMedianMergeHours(mrsMerged) {
+  return median(
+    mrsMerged
+      .filter(mr => mr.merged_at && mr.created_at)
+      .map(mr => Math.abs(dayjs(mr.merged_at).diff(dayjs(mr.created_at), "hour", true)))
+  );
 }
 
-function formatTeamMembers(members, heading = "**Team Members**") {
-  const lines = [];
-  if (heading) lines.push(heading);
-  if (!members.length) {
-    lines.push("_No member activity captured in this window._");
-    return lines.join("\n");
-  }
-  lines.push("*Active Today*");
-  const top = members.slice(0, 5);
-  for (const member of top) {
-    const parts = [];
-    if (member.commits) {
-      const pct = member.commitPct ? ` (${member.commitPct}%)` : "";
-      parts.push(`🧾 ${formatCount(member.commits)} commit${member.commits === 1 ? "" : "s"}${pct}`);
-    }
-    if (member.openedMrs) {
-      parts.push(`📝 ${formatCount(member.openedMrs)} PR${member.openedMrs === 1 ? "" : "s"} opened`);
-    }
-    if (member.mergedMrs) {
-      parts.push(`✅ ${formatCount(member.mergedMrs)} PR${member.mergedMrs === 1 ? "" : "s"} merged`);
-    }
-    if (member.issuesOpened) {
-      parts.push(`➕ ${formatCount(member.issuesOpened)} issue${member.issuesOpened === 1 ? "" : "s"} opened`);
-    }
-    if (member.issuesClosed) {
-      parts.push(`✔️ ${formatCount(member.issuesClosed)} issue${member.issuesClosed === 1 ? "" : "s"} closed`);
-    }
-    if (!parts.length) parts.push("MR participation");
-    lines.push(`• **${member.name}** — ${parts.join(" | ")}`);
-  }
-  if (members.length > top.length) {
-    const remaining = members.length - top.length;
-    lines.push(`• ...and ${remaining} more active contributor${remaining === 1 ? "" : "s"}`);
+function reviewersOf(mr) {
+  const seen = new Map();
+  for (const event of mr.review?.events || []) {
+    if (event.isBot) continue;
+    const name = resolveAuthorName(event);
+    if (!seen.has(name)) seen.set(name, event);
   }
-  return lines.join("\n");
+  return [...seen.values()];
 }
 
-function formatOrgSummary(label, projects) {
-  if (!projects.length) return null;
-  const lines = [`**📂 ${label}**`];
-  const sorted = [...projects].sort((a, b) => {
-    if (b.mrsMerged.length !== a.mrsMerged.length) return b.mrsMerged.length - a.mrsMerged.length;
-    if (b.commits.length !== a.commits.length) return b.commits.length - a.commits.length;
-    return a.projectName.localeCompare(b.projectName);
+// Only merged MRs are looked up, so "authored" in the review load means merged MRs authored.
+function computeReviewMetrics(mrsMerged) {
+  const reviewed = mrsMerged.filter(mr => mr.review);
+  if (!reviewed.length) return null;
+  const firstReviewHours = reviewed.map(mr => {
+    const times = reviewersOf(mr).length
+      ? mr.review.events.filter(event => !event.isBot && event.created_at).map(event => dayjs(event.created_at).valueOf())
+      : [];
+    if (!times.length || !mr.created_at) return null;
+    return Math.max(0, (Math.min(...times) - dayjs(mr.created_at).valueOf()) / 3600000);
   });
-  const display = sorted.slice(0, 3);
-  for (const project of display) {
-    const merged = project.mrsMerged.length;
-    const commits = project.commits.length;
-    const issuesOpened = project.issuesOpened.length;
-    const issuesClosed = project.issuesClosed.length;
-    const parts = [];
-    if (merged) parts.push(`PRs: ${formatCount(merged)}`);
-    if (commits) parts.push(`Commits: ${formatCount(commits)}`);
-    if (issuesOpened || issuesClosed) parts.push(`Issues: +${formatCount(issuesOpened)}/-${formatCount(issuesClosed)}`);
-    const summary = parts.length ? parts.join(" • ") : "No activity recorded";
-    const displayName = project.projectName || project.projectPath || String(project.projectId);
-    const icon = isGithubProjectId(project.projectId) ? "🐙" : "🦊";
-    lines.push(`${icon} ${displayName} — ${summary}`);
-  }
-  if (sorted.length > display.length) {
-    const remaining = sorted.length - display.length;
-    lines.push(`…and ${remaining} more active repo${remaining === 1 ? "" : "s"}.`);
+  const withReviews = reviewed.filter(mr => reviewersOf(mr).length);
+  const load = new Map();
+  const ensure = name => {
+    if (!load.has(name)) load.set(name, { name, reviews: 0, authored: 0 });
+    return load.get(name);
+  };
+  for (const mr of reviewed) {
+    ensure(resolveAuthorName(mr)).authored += 1;
+    for (const reviewer of reviewersOf(mr)) ensure(resolveAuthorName(reviewer)).reviews += 1;
   }
-  return lines.join("\n");
+  return {
+    measured: reviewed.length,
+    medianFirstReviewHours: median(firstReviewHours.filter(value => value !== null)),
+    avgRounds: withReviews.length ? withReviews.reduce((sum, mr) => sum + mr.review.rounds, 0) / withReviews.length : null,
+    avgReviewers: reviewed.reduce((sum, mr) => sum + reviewersOf(mr).length, 0) / reviewed.length,
+    unreviewed: reviewed.length - withReviews.length,
+    unapproved: reviewed.filter(mr => !mr.review.approved),
+    load: [...load.values()].sort((a, b) => b.reviews - a.reviews || a.authored - b.authored || a.name.localeCompare(b.name))
+  };
 }
-function formatMajorFeatures(mrs) {
-  if (!mrs.length) return null;
-  const sorted = [...mrs].sort((a, b) => {
-    const aTime = a.merged_at || a.updated_at || a.created_at;
-    const bTime = b.merged_at || b.updated_at || b.created_at;
-    return dayjs(bTime).valueOf() - dayjs(aTime).valueOf();
-  });
-  const top = sorted.slice(0, 5);
-  const lines = ["**✨ Major Features Shipped**"];
-  for (const mr of top) {
-    const title = mr.title || `Merge Request #${mr.iid || mr.id || "?"}`;
-    const mrLink = mr.web_url ? `[${title}](${mr.web_url})` : title;
-    const project = mr.projectName ? ` (${mr.projectName})` : "";
-    lines.push(`• ${mrLink}${project}`);
+
+// Buckets are exclusive: an MR open for 40 days counts under >30d only.
+function computeOpenMrAging(openMrs, now = dayjs()) {
+  if (!OPEN_MR_AGE_DAYS.length) return null;
+  const aged = openMrs
+    .map(mr => ({ mr, ageDays: now.diff(dayjs(mr.created_at), "day", true) }))
+    .filter(entry => entry.ageDays > OPEN_MR_AGE_DAYS[0])
+    .sort((a, b) => b.ageDays - a.ageDays);
+  const buckets = [...OPEN_MR_AGE_DAYS].reverse().map(days => ({ days, count: 0 }));
+  for (const entry of aged) {
+    const bucket = buckets.find(candidate => entry.ageDays > candidate.days);
+    if (bucket) bucket.count += 1;
   }
-  return lines.join("\n");
+  return { totalOpen: openMrs.length, aged, buckets };
 }
 
-function formatBugActivity(issuesOpened, issuesClosed) {
-  const sameDay = issuesClosed.filter(issue => {
-    if (!issue.closed_at || !issue.created_at) return false;
-    const diffHours = dayjs(issue.closed_at).diff(dayjs(issue.created_at), "hour", true);
-    return diffHours <= 24;
-  }).length;
+const PIPELINE_STATUS_ICONS = { success: "✅", failed: "❌", running: "⏳", pending: "⏳", canceled: "⛔", skipped: "⏭️", manual: "✋" };
 
-  const fixedCount = issuesClosed.length;
-  const openedCount = issuesOpened.length;
-  const sameDayValue = fixedCount
-    ? `${formatCount(sameDay)}/${formatCount(fixedCount)}`
-    : "0";
+function describeOpenMr({ mr, ageDays }) {
+  const people = role => [...new Set(mr.people.filter(person => person.role === role).map(resolveAuthorName))];
+  const details = [`${Math.floor(ageDays)}d`, `by ${resolveAuthorName(mr)}`];
+  const reviewers = people("reviewer");
+  const assignees = people("assignee");
+  if (reviewers.length) details.push(`review: ${reviewers.join(", ")}`);
+  else if (assignees.length) details.push(`assignee: ${assignees.join(", ")}`);
+  else details.push("no reviewer");
+  if (mr.draft) details.push("📝 draft");
+  if (mr.hasConflicts) details.push("⚠️ conflicts");
+  if (mr.pipelineStatus) details.push(`${PIPELINE_STATUS_ICONS[mr.pipelineStatus] || "•"} pipeline ${mr.pipelineStatus}`);
+  const title = mr.web_url ? `[${mr.title}](${mr.web_url})` : mr.title;
+  return `• ${title} (${mr.projectName}) — ${details.join(" · ")}`;
+}
 
-  const rows = [
-    ["Fixed", `${formatCount(fixedCount)} issue${fixedCount === 1 ? "" : "s"}`],
-    ["Same-day fixes", sameDayValue],
-    ["Opened", `${formatCount(openedCount)} issue${openedCount === 1 ? "" : "s"}`]
+function formatOpenMrAging(aging, { limit = OPEN_MR_HIGHLIGHT_LIMIT } = {}) {
+  if (!aging || !aging.aged.length) return null;
+  const bucketLine = aging.buckets.map(bucket => `>${bucket.days}d: ${bucket.count}`).join(" · ");
+  const lines = [
+    "**⏳ Waiting for Review**",
+    `_${aging.aged.length} of ${aging.totalOpen} open PRs are older than ${OPEN_MR_AGE_DAYS[0]} day${OPEN_MR_AGE_DAYS[0] === 1 ? "" : "s"} (${bucketLine})_`
   ];
+  aging.aged.slice(0, limit).forEach(entry => lines.push(describeOpenMr(entry)));
+  if (aging.aged.length > limit) lines.push(`…and ${aging.aged.length - limit} more waiting.`);
+  return lines.join("\n");
+}
 
-  const lines = ["**🐛 Bug Activity**", formatTable(rows)];
+function reviewLoadRows(load, limit = 8) {
+  return load.slice(0, limit).map(entry => [entry.name, formatCount(entry.reviews), formatCount(entry.authored)]);
+}
 
-  const highlights = issuesClosed.slice(0, 3);
-  if (highlights.length) {
-    lines.push("**Highlights**");
-    highlights.forEach(issue => {
-      const title = issue.title || `Issue #${issue.iid || issue.id || "?"}`;
-      lines.push(`• ${title}`);
-    });
-  } else if (!fixedCount && !openedCount) {
-    lines.push("_No bug activity recorded in this window._");
+function formatReviewMetrics(metrics) {
+  if (!metrics) return null;
+  const lines = ["**👀 Code Review**"];
+  if (metrics.medianFirstReviewHours !== null) {
+    lines.push(`• Time to first review: ${metrics.medianFirstReviewHours.toFixed(1)}h median`);
+  }
+  if (metrics.avgRounds !== null) lines.push(`• Review rounds: ${metrics.avgRounds.toFixed(1)} avg`);
+  lines.push(`• Reviewers per PR: ${metrics.avgReviewers.toFixed(1)} avg`);
+  if (metrics.unreviewed) {
+    lines.push(`• Merged without review: ${metrics.unreviewed}/${metrics.measured}`);
+  }
+  if (metrics.unapproved.length) {
+    lines.push(`• ⚠️ Merged without approval: ${metrics.unapproved.length}/${metrics.measured}`);
+    for (const mr of metrics.unapproved.slice(0, 5)) {
+      const title = mr.web_url ? `[${mr.title}](${mr.web_url})` : mr.title;
+      lines.push(`  ◦ ${title} (${mr.projectName})`);
+    }
+    if (metrics.unapproved.length > 5) lines.push(`  ◦ …and ${metrics.unapproved.length - 5} more`);
+  }
+  const load = metrics.load.filter(entry => entry.reviews || entry.authored);
+  if (load.length) {
+    const rows = [["Person", "Reviews", "PRs authored"], ["------", "-------", "------------"], ...reviewLoadRows(load)];
+    lines.push("", "*Review load*", formatTable(rows));
   }
   return lines.join("\n");
 }
@@ -507,66 +3854,212 @@ function formatVelocityHighlights({
   totalCommits,
   totalIssuesClosed,
   mrsMerged,
-  hasMultiOrg
+  hasMultiOrg,
+  trends
 }) {
   if (!totalMRMerged && !totalCommits && !totalIssuesClosed) return null;
   const lines = ["**🚀 Velocity Highlights**"];
-  const denominator = totalMROpened || totalMRMerged || 1;
-  const mergeRate = Math.round((totalMRMerged / denominator) * 100);
-  lines.push(`• Merge rate: ${mergeRate}%`);
-  if (totalCommits) lines.push(`• Commits: ${formatCount(totalCommits)}`);
-  if (totalIssuesClosed) lines.push(`• Issues closed: ${formatCount(totalIssuesClosed)}`);
+  const mergeRate = computeMergeRate(totalMRMerged, totalMROpened);
+  lines.push(`• Merge rate: ${mergeRate}%${formatTrendSuffix(trends, "mergeRate", "pts")}`);
+  if (totalCommits) lines.push(`• Commits: ${formatCount(totalCommits)}${formatTrendSuffix(trends, "commits")}`);
+  if (totalIssuesClosed) {
+    lines.push(`• Issues closed: ${formatCount(totalIssuesClosed)}${formatTrendSuffix(trends, "issuesClosed")}`);
+  }
   if (hasMultiOrg) lines.push("• Multi-org delivery 💼");
 
-  const durations = mrsMerged
-    .filter(mr => mr.merged_at && mr.created_at)
-    .map(mr => Math.abs(dayjs(mr.merged_at).diff(dayjs(mr.created_at), "hour", true)))
-    .sort((a, b) => a - b);
-  if (durations.length) {
-    const mid = Math.floor(durations.length / 2);
-    const median = durations.length % 2 ? durations[mid] : (durations[mid - 1] + durations[mid]) / 2;
+  const median = computeMedianMergeHours(mrsMerged);
+  if (median !== null) {
     const label = median <= 24 ? "Fast turnaround" : "Median merge time";
     const hours = median.toFixed(1);
-    lines.push(`• ${label}: ${hours}h`);
+    lines.push(`• ${label}: ${hours}h${formatTrendSuffix(trends, "medianMergeHours", "h")}`);
   }
 
   return lines.join("\n");
 }
 
-function formatCommitBreakdown(members, totalCommits) {
-  if (!totalCommits) return null;
-  const rows = [
-    ["Contributor", "Commits", "%"],
-    ["-----------", "-------", "--"]
-  ];
+function commitBreakdownRows(members, totalCommits) {
+  const rows = [];
   const top = members.filter(m => m.commits).slice(0, 8);
   for (const member of top) {
     const pct = member.commitPct ? `${member.commitPct}%` : "0%";
     rows.push([member.name, String(member.commits), pct]);
   }
   rows.push(["TOTAL", String(totalCommits), "100%"]);
+  return rows;
+}
+
+function formatCommitBreakdown(members, totalCommits) {
+  if (!totalCommits) return null;
+  const rows = [
+    ["Contributor", "Commits", "%"],
+    ["-----------", "-------", "--"],
+    ...commitBreakdownRows(members, totalCommits)
+  ];
   return ["**Commit Breakdown**", formatTable(rows)].join("\n");
 }
 
-function formatRepoTable(projects, totals) {
-  if (!projects.length) return null;
+const SPARK_CHARS = "▁▂▃▄▅▆▇█";
+
+function sparkline(values) {
+  const max = Math.max(0, ...values);
+  if (!max) return SPARK_CHARS[0].repeat(values.length);
+  return values
+    .map(value => SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.round((value / max) * (SPARK_CHARS.length - 1)))])
+    .join("");
+}
+
+// Long custom ranges are bucketed by week so the sparkline stays readable.
+function buildDigestBuckets(since, until) {
+  const start = dayjs(since).tz(REPORT_TZ).startOf("day");
+  const end = dayjs(until).tz(REPORT_TZ);
+  const totalDays = Math.max(1, Math.ceil(end.diff(start, "day", true)));
+  const unit = totalDays > 45 ? "week" : "day";
+  const step = unit === "week" ? 7 : 1;
+  const buckets = [];
+  for (let cursor = start; cursor.isBefore(end); cursor = cursor.add(step, "day")) {
+    buckets.push({ start: cursor, key: cursor.format("YYYY-MM-DD"), commits: 0, mergedMrs: 0, issuesClosed: 0 });
+  }
+  return { unit, buckets };
+}
+
+function bucketIndexFor(buckets, date) {
+  if (!date) return -1;
+  const ts = dayjs(date).valueOf();
+  for (let i = buckets.length - 1; i >= 0; i -= 1) {
+    if (ts >= buckets[i].start.valueOf()) return i;
+  }
+  return -1;
+}
+
+function buildDigestSeries({ since, until, commits, mrsMerged, issuesClosed }) {
+  const { unit, buckets } = buildDigestBuckets(since, until);
+  const tally = (items, field, dateOf) => {
+    for (const item of items) {
+      const index = bucketIndexFor(buckets, dateOf(item));
+      if (index >= 0) buckets[index][field] += 1;
+    }
+  };
+  tally(commits, "commits", item => item.created_at);
+  tally(mrsMerged, "mergedMrs", item => item.merged_at);
+  tally(issuesClosed, "issuesClosed", item => item.closed_at);
+  return { unit, buckets };
+}
+
+function digestActivityRows(buckets) {
+  const series = [
+    ["Commits", "commits"],
+    ["PRs merged", "mergedMrs"],
+    ["Issues closed", "issuesClosed"]
+  ];
+  return series.map(([label, field]) => {
+    const values = buckets.map(bucket => bucket[field]);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return [label, sparkline(values), formatCount(total)];
+  });
+}
+
+function formatDigestActivity({ unit, buckets }) {
+  if (!buckets.length) return null;
+  const rows = digestActivityRows(buckets);
+  const first = buckets[0].start.format("MMM D");
+  const last = buckets[buckets.length - 1].start.format("MMM D");
+  return [
+    `**📈 Activity per ${unit}**`,
+    `_${first} → ${last}, one bar per ${unit}_`,
+    formatTable(rows)
+  ].join("\n");
+}
+
+function formatBusiestDays({ unit, buckets }) {
+  if (!buckets.length) return null;
+  const score = bucket => bucket.commits + bucket.mergedMrs + bucket.issuesClosed;
+  const active = buckets.filter(bucket => score(bucket) > 0);
+  if (!active.length) return null;
+  const byField = field => [...buckets].sort((a, b) => b[field] - a[field] || a.start.valueOf() - b.start.valueOf())[0];
+  const format = bucket => unit === "week" ? `week of ${bucket.start.format("MMM D")}` : bucket.start.format("ddd, MMM D");
+  const lines = [`**🔥 Busiest ${unit === "week" ? "Weeks" : "Days"}**`];
+  const busiest = [...active].sort((a, b) => score(b) - score(a) || a.start.valueOf() - b.start.valueOf())[0];
+  lines.push(`• Busiest ${unit}: ${format(busiest)} (${formatCount(score(busiest))} events)`);
+  const topCommits = byField("commits");
+  if (topCommits.commits) lines.push(`• Most commits: ${format(topCommits)} (${formatCount(topCommits.commits)})`);
+  const topMerged = byField("mergedMrs");
+  if (topMerged.mergedMrs) lines.push(`• Most PRs merged: ${format(topMerged)} (${formatCount(topMerged.mergedMrs)})`);
+  const totalCommits = buckets.reduce((sum, bucket) => sum + bucket.commits, 0);
+  const average = (totalCommits / buckets.length).toFixed(1);
+  lines.push(`• Active ${unit}s: ${formatCount(active.length)}/${formatCount(buckets.length)} • Avg commits per ${unit}: ${average}`);
+  return lines.join("\n");
+}
+
+function memberTotalsHeader(members) {
+  const header = ["Member", "Commits", "PRs merged", "PRs opened", "Issues closed"];
+  return members.some(member => member.lines) ? [...header, "Lines"] : header;
+}
+
+function memberTotalsRows(members, limit = 15) {
+  const withLines = members.some(member => member.lines);
+  return members.slice(0, limit).map(member => [
+    member.name,
+    formatCount(member.commits),
+    formatCount(member.mergedMrs),
+    formatCount(member.openedMrs),
+    formatCount(member.issuesClosed),
+    ...(withLines ? [formatLineDelta(member.lines)] : [])
+  ]);
+}
+
+function formatMemberTotals(members, limit = 15) {
+  if (!members.length) return null;
+  const header = memberTotalsHeader(members);
   const rows = [
-    ["Repo", "PRs", "Commits"],
-    ["----", "---", "-------"]
+    header,
+    header.map(label => "-".repeat(label.length)),
+    ...memberTotalsRows(members, limit)
   ];
+  const lines = ["**👥 Member Totals**", formatTable(rows)];
+  if (members.length > limit) {
+    const remaining = members.length - limit;
+    lines.push(`…and ${remaining} more contributor${remaining === 1 ? "" : "s"}.`);
+  }
+  return lines.join("\n");
+}
+
+function repoTableRows(projects, totals) {
+  const rows = [];
   const sorted = [...projects].sort((a, b) => {
     if (b.mrsMerged.length !== a.mrsMerged.length) return b.mrsMerged.length - a.mrsMerged.length;
     if (b.commits.length !== a.commits.length) return b.commits.length - a.commits.length;
     return a.projectName.localeCompare(b.projectName);
   });
+  const withLines = Boolean(totals.lines);
   for (const project of sorted.slice(0, 10)) {
     rows.push([
       project.projectName,
       String(project.mrsMerged.length),
-      String(project.commits.length)
+      String(project.commits.length),
+      ...(withLines ? [formatLineDelta(sumDiffStats(project.commits))] : [])
     ]);
   }
-  rows.push(["TOTAL", String(totals.totalMRMerged), String(totals.totalCommits)]);
+  rows.push([
+    "TOTAL",
+    String(totals.totalMRMerged),
+    String(totals.totalCommits),
+    ...(withLines ? [formatLineDelta(totals.lines)] : [])
+  ]);
+  return rows;
+}
+
+function repoTableHeader(totals) {
+  return totals.lines ? ["Repo", "PRs", "Commits", "Lines"] : ["Repo", "PRs", "Commits"];
+}
+
+function formatRepoTable(projects, totals) {
+  if (!projects.length) return null;
+  const header = repoTableHeader(totals);
+  const rows = [
+    header,
+    header.map(label => "-".repeat(label.length)),
+    ...repoTableRows(projects, totals)
+  ];
   return ["**📊 By Repository (Top 10)**", formatTable(rows)].join("\n");
 }
 
@@ -644,56 +4137,1080 @@ function formatInactivityAndNewRepoAlert(inactiveProjects, newRepos, staleThresh
       const remaining = sortedByLastActivity.length - display.length;
       lines.push(`…and ${remaining} more inactive repo${remaining === 1 ? "" : "s"}.`);
     }
-    
-    sections.push(lines.join("\n"));
+    
+    sections.push(lines.join("\n"));
+  }
+  
+  return sections.length > 0 ? sections.join("\n\n") : null;
+}
+
+function loadHistory(file) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { version: 1, days: parsed?.days || {} };
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.warn(`Unable to read history file ${file}: ${err.message}`);
+    }
+    return { version: 1, days: {} };
+  }
+}
+
+function saveHistory(file, history, retentionDays) {
+  const cutoff = dayjs().tz(REPORT_TZ).subtract(retentionDays, "day").format("YYYY-MM-DD");
+  const days = Object.fromEntries(
+    Object.entries(history.days)
+      .filter(([date]) => date >= cutoff)
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ version: 1, days }, null, 2)}\n`);
+}
+
+function buildHistorySnapshot({ totals, results, members }) {
+  const projects = {};
+  for (const project of results) {
+    projects[String(project.projectId)] = {
+      name: project.projectName,
+      commits: project.commits.length,
+      openedMrs: project.mrsOpened.length,
+      mergedMrs: project.mrsMerged.length,
+      issuesOpened: project.issuesOpened.length,
+      issuesClosed: project.issuesClosed.length
+    };
+  }
+  const memberTotals = {};
+  for (const member of members) {
+    memberTotals[member.name] = {
+      commits: member.commits,
+      openedMrs: member.openedMrs,
+      mergedMrs: member.mergedMrs,
+      issuesOpened: member.issuesOpened,
+      issuesClosed: member.issuesClosed
+    };
+  }
+  return {
+    recordedAt: dayjs().toISOString(),
+    totals,
+    projects,
+    members: memberTotals
+  };
+}
+
+// Deltas of the current totals against earlier snapshots. Only days strictly
+// before `dateKey` count, so re-running a day never compares it with itself.
+function computeTrends(history, dateKey, totals) {
+  const day = dayjs.tz(dateKey, REPORT_TZ);
+  const snapshotAt = offset => history.days[day.subtract(offset, "day").format("YYYY-MM-DD")] || null;
+  const previous = Object.keys(history.days).filter(date => date < dateKey);
+
+  const averageOver = (span, key) => {
+    const values = [];
+    for (let offset = 1; offset <= span; offset += 1) {
+      const value = snapshotAt(offset)?.totals?.[key];
+      if (typeof value === "number") values.push(value);
+    }
+    if (!values.length) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  };
+
+  const diff = (current, base) =>
+    typeof current === "number" && typeof base === "number" ? current - base : null;
+
+  const metrics = {};
+  for (const [key, current] of Object.entries(totals)) {
+    metrics[key] = {
+      yesterday: diff(current, snapshotAt(1)?.totals?.[key]),
+      lastWeek: diff(current, snapshotAt(7)?.totals?.[key]),
+      avg7: diff(current, averageOver(7, key)),
+      avg28: diff(current, averageOver(28, key))
+    };
+  }
+  return { days: previous.length, metrics };
+}
+
+function formatDelta(value, unit = "") {
+  if (value === null || value === undefined) return "—";
+  const rounded = Math.round(value * 10) / 10;
+  if (rounded === 0) return `±0${unit}`;
+  const text = Number.isInteger(rounded) ? formatCount(Math.abs(rounded)) : Math.abs(rounded).toFixed(1);
+  return `${rounded > 0 ? "+" : "-"}${text}${unit}`;
+}
+
+function formatTrendSuffix(trends, key, unit = "") {
+  const delta = trends?.metrics?.[key];
+  if (!delta) return "";
+  const parts = [];
+  if (delta.yesterday !== null) parts.push(`1d ${formatDelta(delta.yesterday, unit)}`);
+  if (delta.lastWeek !== null) parts.push(`1w ${formatDelta(delta.lastWeek, unit)}`);
+  if (delta.avg7 !== null) parts.push(`7d avg ${formatDelta(delta.avg7, unit)}`);
+  if (delta.avg28 !== null) parts.push(`28d avg ${formatDelta(delta.avg28, unit)}`);
+  return parts.length ? ` (${parts.join(" · ")})` : "";
+}
+
+function chunkMessage(text, limit = 1800) {
+  const chunks = [];
+  if (!text) {
+    return chunks;
+  }
+  const lines = text.split("\n");
+  let current = "";
+  for (const line of lines) {
+    const candidate = current ? `${current}\n${line}` : line;
+    if (candidate.length <= limit) {
+      current = candidate;
+      continue;
+    }
+    if (current) {
+      chunks.push(current);
+      current = "";
+    }
+    if (line.length <= limit) {
+      current = line;
+    } else {
+      let index = 0;
+      while (index < line.length) {
+        chunks.push(line.slice(index, index + limit));
+        index += limit;
+      }
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+const replayOutputCounts = new Map();
+
+// Replays write each webhook payload to REPLAY_OUTPUT_DIR as <destination>-NN.json,
+// clearing that destination's files from earlier replays first.
+async function postWebhook(destination, payload) {
+  if (FIXTURE_MODE !== "replay") return axios.post(destination.url, payload);
+  const name = destination.name.replace(/[^a-z0-9._-]+/gi, "-");
+  const count = (replayOutputCounts.get(name) || 0) + 1;
+  replayOutputCounts.set(name, count);
+  fs.mkdirSync(REPLAY_OUTPUT_DIR, { recursive: true });
+  if (count === 1) {
+    const previous = new RegExp(`^${name.replace(/[.]/g, "\\.")}-\\d+\\.json$`);
+    fs.readdirSync(REPLAY_OUTPUT_DIR).filter(file => previous.test(file)).forEach(file => fs.unlinkSync(path.join(REPLAY_OUTPUT_DIR, file)));
+  }
+  fs.writeFileSync(path.join(REPLAY_OUTPUT_DIR, `${name}-${String(count).padStart(2, "0")}.json`), `${JSON.stringify(payload, null, 2)}\n`);
+}
+
+async function postMessageBlocks(blocks, destination) {
+  const content = blocks.filter(Boolean).join("\n\n").trim();
+  if (!content) return 0;
+  const chunks = chunkMessage(content);
+  let posted = 0;
+  for (const chunk of chunks) {
+    if (chunk.trim()) {
+      await postWebhook(destination, { content: chunk });
+      posted += 1;
+    }
+  }
+  return posted;
+}
+
+// Discord rejects payloads over these limits, so embeds are clamped and packed before posting.
+const DISCORD_LIMITS = {
+  embedsPerMessage: 10,
+  charsPerMessage: 6000,
+  fieldsPerEmbed: 25,
+  title: 256,
+  description: 4096,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048
+};
+
+const REPORT_FOOTER = "Posted automatically by Aquarious Velocity Bot";
+
+const EMBED_COLORS = {
+  good: 0x2ecc71,
+  warn: 0xf1c40f,
+  bad: 0xe74c3c,
+  neutral: 0x95a5a6,
+  info: 0x5865f2
+};
+
+// Cuts markdown at a line boundary and re-closes a ``` fence left open by the cut.
+function truncateMarkdown(text, limit) {
+  const value = String(text ?? "");
+  if (value.length <= limit) return value;
+  const lines = value.split("\n");
+  const suffix = "\n…";
+  while (lines.length > 1) {
+    lines.pop();
+    let candidate = lines.join("\n");
+    const fences = (candidate.match(/```/g) || []).length;
+    if (fences % 2) candidate += "\n```";
+    if (candidate.length + suffix.length <= limit) return candidate + suffix;
+  }
+  return `${value.slice(0, limit - 1)}…`;
+}
+
+function embedSize(embed) {
+  let size = (embed.title || "").length + (embed.description || "").length;
+  size += (embed.footer?.text || "").length + (embed.author?.name || "").length;
+  for (const field of embed.fields || []) {
+    size += field.name.length + field.value.length;
+  }
+  return size;
+}
+
+// Applies per-field limits and moves fields into continuation embeds once an
+// embed would exceed 25 fields or Discord's 6000-character total.
+function clampEmbed(embed) {
+  const base = { ...embed };
+  if (base.title) base.title = truncateMarkdown(base.title, DISCORD_LIMITS.title);
+  if (base.footer?.text) base.footer = { ...base.footer, text: truncateMarkdown(base.footer.text, DISCORD_LIMITS.footer) };
+  const footerSize = (base.footer?.text || "").length;
+  if (base.description) {
+    const room = DISCORD_LIMITS.charsPerMessage - (base.title || "").length - (base.author?.name || "").length - footerSize;
+    base.description = truncateMarkdown(base.description, Math.min(DISCORD_LIMITS.description, room));
+  }
+  const fields = (embed.fields || [])
+    .filter(field => field && field.name)
+    .map(field => ({
+      name: truncateMarkdown(field.name, DISCORD_LIMITS.fieldName),
+      value: truncateMarkdown(field.value || "—", DISCORD_LIMITS.fieldValue),
+      inline: Boolean(field.inline)
+    }));
+  const continuationTitle = base.title ? truncateMarkdown(`${base.title} (cont.)`, DISCORD_LIMITS.title) : undefined;
+  // The footer's size is reserved in every part because it moves to whichever one ends up last.
+  const out = [{ ...base, fields: [] }];
+  let partSize = embedSize(out[0]);
+  for (const field of fields) {
+    const size = field.name.length + field.value.length;
+    const part = out[out.length - 1];
+    if (part.fields.length >= DISCORD_LIMITS.fieldsPerEmbed || partSize + size > DISCORD_LIMITS.charsPerMessage) {
+      out.push({ title: continuationTitle, color: base.color, fields: [field] });
+      partSize = (continuationTitle || "").length + footerSize + size;
+    } else {
+      part.fields.push(field);
+      partSize += size;
+    }
+  }
+  for (const part of out) {
+    if (!part.fields.length) delete part.fields;
+  }
+  // The footer belongs on the last continuation so it still closes the section.
+  if (out.length > 1 && base.footer) {
+    delete out[0].footer;
+    out[out.length - 1].footer = base.footer;
+  }
+  return out;
+}
+
+// Greedily fills each webhook call up to 10 embeds / 6000 characters.
+function packEmbeds(embeds) {
+  const messages = [];
+  let current = [];
+  let currentSize = 0;
+  for (const embed of embeds.flatMap(clampEmbed)) {
+    const size = embedSize(embed);
+    const fits = current.length < DISCORD_LIMITS.embedsPerMessage &&
+      currentSize + size <= DISCORD_LIMITS.charsPerMessage;
+    if (!fits && current.length) {
+      messages.push(current);
+      current = [];
+      currentSize = 0;
+    }
+    current.push(embed);
+    currentSize += size;
+  }
+  if (current.length) messages.push(current);
+  return messages;
+}
+
+function metricsHealthTone({ totalMRMerged, totalMROpened, totalCommits, trends }) {
+  if (!totalMRMerged && !totalMROpened && !totalCommits) return "neutral";
+  const mergeRate = computeMergeRate(totalMRMerged, totalMROpened);
+  const drop = trends?.metrics?.mergeRate?.avg7;
+  if (mergeRate < 40 || (typeof drop === "number" && drop <= -20)) return "bad";
+  if (mergeRate < 70 || (typeof drop === "number" && drop < 0)) return "warn";
+  return "good";
+}
+
+function stripHeading(block) {
+  if (!block) return "";
+  const [first, ...rest] = block.split("\n");
+  return /^\*\*.+\*\*$/.test(first.trim()) ? rest.join("\n").trim() : block;
+}
+
+function trendNote(trends, key) {
+  const delta = key ? trends?.metrics?.[key] : null;
+  if (!delta) return null;
+  const parts = [];
+  if (delta.yesterday !== null) parts.push(`1d ${formatDelta(delta.yesterday)}`);
+  if (delta.avg7 !== null) parts.push(`7d ${formatDelta(delta.avg7)}`);
+  return parts.length ? parts.join(" · ") : null;
+}
+
+// Report sections carry two views of the same data: `markdown` is the block the
+// plain-text Discord renderer posts, `parts` is the structured form used by the
+// rich renderers (embeds, Slack, Teams, JSON). Part types:
+//   { type: "text", text }                        markdown paragraph
+//   { type: "facts", facts: [{ name, value, note }] }
+//   { type: "lines", title?, lines: [markdown] }  pre-formatted list lines
+//   { type: "table", title?, rows }               rows[0] is the header
+function createSection(id, title, { group, tone = "info", markdown = null, parts = [] }) {
+  return { id, title, group, tone, markdown, parts: parts.filter(Boolean) };
+}
+
+function linesPart(block, title) {
+  if (!block) return null;
+  const lines = stripHeading(block).split("\n").filter(line => line.trim());
+  return lines.length ? { type: "lines", title, lines } : null;
+}
+
+const REPORT_GROUP_HEADINGS = { projects: "**Project Metrics**" };
+
+function buildMetricsSection(ctx) {
+  const { totals, trends, organizationSummary } = ctx;
+  const { digest } = ctx.reportWindow;
+  const periodLabel = digest ? "period" : "day";
+  const facts = [
+    { name: "Organizations", value: organizationSummary },
+    { name: "PRs Merged", value: formatCount(totals.totalMRMerged), note: trendNote(trends, "mergedMrs") },
+    { name: "PRs Opened", value: formatCount(totals.totalMROpened), note: trendNote(trends, "openedMrs") },
+    { name: "Commits", value: formatCount(totals.totalCommits), note: trendNote(trends, "commits") },
+    ...(totals.rawCommits !== undefined && totals.rawCommits !== totals.totalCommits
+      ? [{ name: "Commits (raw)", value: formatCount(totals.rawCommits), note: "incl. merges and duplicates" }]
+      : []),
+    { name: `Issues Opened (${periodLabel})`, value: formatCount(totals.totalIssuesOpened), note: trendNote(trends, "issuesOpened") },
+    { name: `Issues Closed (${periodLabel})`, value: formatCount(totals.totalIssuesClosed), note: trendNote(trends, "issuesClosed") },
+    ...(digest
+      ? []
+      : [
+          { name: "Issues Opened (month)", value: formatCount(totals.totalIssuesOpenedMonth) },
+          { name: "Issues Closed (month)", value: formatCount(totals.totalIssuesClosedMonth) }
+        ]),
+    { name: "Active Repos", value: formatCount(totals.activeRepos), note: trendNote(trends, "activeRepos") },
+    { name: "Contributors", value: formatCount(totals.contributors), note: trendNote(trends, "contributors") },
+    ...(totals.lines
+      ? [{ name: "Lines Changed", value: formatLineDelta(totals.lines), note: `${formatCount(totals.lines.files)} files` }]
+      : []),
+    ...(automationSummary(totals.automation)
+      ? [{ name: "Automation", value: automationSummary(totals.automation), note: totals.automation.accounts.join(", ") }]
+      : [])
+  ];
+  return createSection("metrics", "⚙️ Team Metrics", {
+    group: "overview",
+    tone: metricsHealthTone({ ...totals, trends }),
+    markdown: formatTeamMetrics({
+      organizationSummary,
+      ...totals,
+      totalIssuesOpenedMonth: digest ? null : totals.totalIssuesOpenedMonth,
+      totalIssuesClosedMonth: digest ? null : totals.totalIssuesClosedMonth,
+      trends,
+      periodLabel
+    }),
+    parts: [
+      { type: "text", text: "_Totals combine GitLab + GitHub repositories_" },
+      { type: "facts", facts }
+    ]
+  });
+}
+
+function buildVelocitySection(ctx) {
+  const markdown = formatVelocityHighlights({
+    ...ctx.totals,
+    mrsMerged: ctx.mrsMerged,
+    hasMultiOrg: ctx.internalActive.length > 0 && ctx.clientActive.length > 0,
+    trends: ctx.trends
+  });
+  if (!markdown) return null;
+  return createSection("velocity", "🚀 Velocity Highlights", {
+    group: "overview",
+    markdown,
+    parts: [linesPart(markdown)]
+  });
+}
+
+function buildBugSection(ctx) {
+  const { issuesOpened, issuesClosed } = ctx;
+  const breakdown = computeIssueBreakdown(issuesOpened, issuesClosed);
+  const { sameDay, fixedCount, openedCount } = computeBugStats(breakdown.bugsOpened, breakdown.bugsClosed);
+  const highlights = breakdown.bugsClosed.slice(0, 3).map(issue => {
+    const title = issue.title || `Issue #${issue.iid || issue.id || "?"}`;
+    return `• ${issue.web_url ? `[${title}](${issue.web_url})` : title}${formatTicketLinks(issue)}`;
+  });
+  let tone = "neutral";
+  if (openedCount > fixedCount) tone = "bad";
+  else if (fixedCount) tone = "good";
+  return createSection("bugs", "🐛 Bug Activity", {
+    group: "overview",
+    tone,
+    markdown: formatBugActivity(issuesOpened, issuesClosed),
+    parts: [
+      {
+        type: "facts",
+        facts: [
+          { name: "Fixed", value: formatCount(fixedCount) },
+          { name: "Same-day fixes", value: fixedCount ? `${formatCount(sameDay)}/${formatCount(fixedCount)}` : "0" },
+          { name: "Opened", value: formatCount(openedCount) },
+          ...issueBreakdownRows(breakdown).map(([name, value]) => ({ name, value }))
+        ]
+      },
+      highlights.length ? { type: "lines", title: "Highlights", lines: highlights } : null,
+      !fixedCount && !openedCount ? { type: "text", text: "_No bug activity recorded in this window._" } : null
+    ]
+  });
+}
+
+function buildWorkTypeSection(ctx) {
+  const workTypes = ctx.workTypes;
+  const markdown = formatWorkTypes(workTypes);
+  if (!markdown) return null;
+  return createSection("worktypes", "🧭 Work Types", {
+    group: "team",
+    tone: workTypes.compliance < 50 ? "warn" : "info",
+    markdown,
+    parts: [
+      { type: "lines", lines: workTypeSummaryLines(workTypes) },
+      { type: "table", title: "By repository", rows: [["Repo", ...WORK_TYPE_HEADER], ...workTypeRows(workTypes.repos)] },
+      { type: "table", title: "By member", rows: [["Member", ...WORK_TYPE_HEADER], ...workTypeRows(workTypes.members)] }
+    ]
+  });
+}
+
+function buildChangelogSection(ctx) {
+  const markdown = formatChangelog(ctx.changelog);
+  if (!markdown) return null;
+  return createSection("changelog", "📝 Changelog", {
+    group: "projects",
+    markdown,
+    parts: ctx.changelog.map(repo => ({ type: "lines", title: repo.name, lines: changelogRepoLines(repo) }))
+  });
+}
+
+function buildTrackerSection(ctx) {
+  const markdown = formatTrackerWork(ctx.trackerWork);
+  if (!markdown) return null;
+  return createSection("tickets", "🎫 Tracker Work", {
+    group: "projects",
+    markdown,
+    parts: [linesPart(markdown)]
+  });
+}
+
+function buildMilestoneSection(ctx) {
+  const milestones = ctx.milestoneProgress;
+  const markdown = formatMilestoneProgress(milestones);
+  if (!markdown) return null;
+  return createSection("milestones", "🎯 Milestones", {
+    group: "projects",
+    tone: milestones.some(milestone => milestone.atRisk) ? "warn" : "info",
+    markdown,
+    parts: [linesPart(markdown)]
+  });
+}
+
+function buildReleaseSection(ctx) {
+  const releases = ctx.releases || [];
+  const markdown = formatReleases(releases);
+  if (!markdown) return null;
+  return createSection("releases", "🏷️ Releases", {
+    group: "projects",
+    tone: "good",
+    markdown,
+    parts: [{ type: "text", text: releaseSummaryLine(releases) }, { type: "lines", lines: releaseLines(releases) }]
+  });
+}
+
+function buildDoraSection(ctx) {
+  const dora = ctx.dora;
+  const markdown = formatDoraMetrics(dora);
+  if (!markdown) return null;
+  const tones = { Elite: "good", High: "good", Medium: "warn", Low: "bad" };
+  return createSection("dora", "🚦 DORA Metrics", {
+    group: "overview",
+    tone: tones[dora.overall] || "info",
+    markdown,
+    parts: [
+      { type: "facts", facts: doraMetricRows(dora).map(([name, value, tier]) => ({ name, value: tier === "–" ? value : `${value} · ${tier}` })) },
+      { type: "text", text: doraFootnote(dora) },
+      dora.repos.length > 1
+        ? { type: "table", title: "By repository", rows: [["Repo", "Deploys", "Lead", "CFR", "MTTR", "Tier"], ...doraRepoRows(dora)] }
+        : null
+    ]
+  });
+}
+
+function buildRepoSections(ctx) {
+  const { repoProjects, totals, staleProjects } = ctx;
+  const repoTableBlock = formatRepoTable(repoProjects, totals);
+  const inactiveSummaryBlock = formatInactiveSummary(staleProjects);
+  if (!repoTableBlock && !inactiveSummaryBlock) return null;
+  return createSection("repos", "📊 By Repository (Top 10)", {
+    group: "projects",
+    markdown: [repoTableBlock, inactiveSummaryBlock].filter(Boolean).join("\n\n"),
+    parts: [
+      repoTableBlock ? { type: "table", rows: [repoTableHeader(totals), ...repoTableRows(repoProjects, totals)] } : null,
+      inactiveSummaryBlock ? { type: "text", text: inactiveSummaryBlock } : null
+    ]
+  });
+}
+
+function buildReviewSection(ctx) {
+  const metrics = ctx.reviewMetrics;
+  const markdown = formatReviewMetrics(metrics);
+  if (!markdown) return null;
+  const summary = markdown.split("\n\n*Review load*")[0];
+  const load = metrics.load.filter(entry => entry.reviews || entry.authored);
+  return createSection("reviews", "👀 Code Review", {
+    group: "overview",
+    tone: metrics.unapproved.length ? "warn" : "info",
+    markdown,
+    parts: [
+      linesPart(summary),
+      load.length ? { type: "table", title: "Review load", rows: [["Person", "Reviews", "PRs authored"], ...reviewLoadRows(load)] } : null
+    ]
+  });
+}
+
+// Failures with project === null come from discovery, so the projects they hide are unknown.
+function formatPartialData(failures) {
+  if (!failures?.length) return "";
+  const projects = failures.filter(failure => failure.project !== null);
+  const discovery = failures.length - projects.length;
+  return [
+    "**⚠️ Partial Data**",
+    ...(projects.length
+      ? [`${formatCount(projects.length)} project${projects.length === 1 ? "" : "s"} could not be collected; totals leave ${projects.length === 1 ? "it" : "them"} out.`]
+      : []),
+    ...(discovery ? [`Project discovery failed ${discovery === 1 ? "once" : `${discovery} times`}; the projects it would have found are missing.`] : []),
+    ...failures.map(failure => `• ${failure.name} (${failure.reason})`)
+  ].join("\n");
+}
+
+function buildPartialDataSection(ctx) {
+  const markdown = formatPartialData(ctx.partialFailures);
+  if (!markdown) return null;
+  return createSection("partial", "⚠️ Partial Data", {
+    group: "overview",
+    tone: "warn",
+    markdown,
+    parts: [linesPart(markdown)]
+  });
+}
+
+function buildBacklogSection(ctx) {
+  const backlog = ctx.backlogHealth;
+  const markdown = formatBacklogHealth(backlog);
+  if (!markdown) return null;
+  let tone = "good";
+  if (backlog.breaches.length) tone = "bad";
+  else if (backlog.net > 0 || backlog.untriaged) tone = "warn";
+  return createSection("backlog", "📋 Issue Backlog", {
+    group: "overview",
+    tone,
+    markdown,
+    parts: [
+      { type: "facts", facts: backlogRows(backlog).map(([name, value]) => ({ name, value })) },
+      backlog.breaches.length
+        ? { type: "lines", title: `⏰ SLA breaches (${formatCount(backlog.breaches.length)})`, lines: slaBreachLines(backlog) }
+        : null,
+      backlog.repos.length > 1
+        ? { type: "table", title: "By repository", rows: [["Repo", "Open", "Net", "Unassigned", "Untriaged", "Oldest"], ...backlogRepoRows(backlog)] }
+        : null
+    ]
+  });
+}
+
+function buildPipelineSection(ctx) {
+  const health = ctx.pipelineHealth;
+  const markdown = formatPipelineHealth(health);
+  if (!markdown) return null;
+  let tone = "good";
+  if (health.brokenBranches.length) tone = "bad";
+  else if (health.successRate !== null && health.successRate < 80) tone = "warn";
+  const broken = brokenBranchLines(health);
+  const flaky = flakyJobLines(health);
+  return createSection("pipelines", "🛠️ CI/CD Health", {
+    group: "overview",
+    tone,
+    markdown,
+    parts: [
+      {
+        type: "facts",
+        facts: [
+          { name: "Pipelines", value: formatCount(health.total) },
+          { name: "Success rate", value: health.successRate === null ? "–" : `${health.successRate}%` },
+          { name: "Failed on default", value: formatCount(health.failedDefault.length) },
+          { name: "Median duration", value: health.medianDurationMinutes === null ? "–" : `${health.medianDurationMinutes.toFixed(1)} min` }
+        ]
+      },
+      health.skippedRuns ? { type: "text", text: skippedRunsNote(health) } : null,
+      broken.length ? { type: "lines", title: "Broken default branches", lines: broken } : null,
+      flaky.length ? { type: "lines", title: "Flakiest jobs", lines: flaky } : null
+    ]
+  });
+}
+
+function buildOpenMrSection(ctx) {
+  const markdown = formatOpenMrAging(ctx.openMrAging);
+  if (!markdown) return null;
+  const oldest = ctx.openMrAging.buckets[0];
+  return createSection("waiting", "⏳ Waiting for Review", {
+    group: "projects",
+    tone: oldest && oldest.count ? "bad" : "warn",
+    markdown,
+    parts: [linesPart(markdown)]
+  });
+}
+
+function buildLargeChangesSection(ctx, options) {
+  const markdown = formatLargeChanges(ctx.mrsMerged, options);
+  if (!markdown) return null;
+  return createSection("changes", "🐘 Large Changes Merged", {
+    group: "projects",
+    tone: "warn",
+    markdown,
+    parts: [linesPart(markdown)]
+  });
+}
+
+function buildCommitSection(ctx) {
+  const markdown = formatCommitBreakdown(ctx.memberSummaries, ctx.totals.memberCommits);
+  if (!markdown) return null;
+  return createSection("commits", "Commit Breakdown", {
+    group: "team",
+    markdown,
+    parts: [{ type: "table", rows: [["Contributor", "Commits", "%"], ...commitBreakdownRows(ctx.memberSummaries, ctx.totals.memberCommits)] }]
+  });
+}
+
+function buildDailySections(ctx) {
+  const sections = [buildMetricsSection(ctx), buildPartialDataSection(ctx), buildVelocitySection(ctx), buildReviewSection(ctx)];
+
+  const alertBlock = ctx.alerts
+    ? formatInactivityAndNewRepoAlert(
+        ctx.alerts.inactiveProjects,
+        ctx.alerts.newRepos,
+        ctx.alerts.staleThresholdDays,
+        ctx.alerts.newRepoThresholdDays
+      )
+    : null;
+  if (alertBlock) {
+    sections.push(createSection("alerts", "🔔 Repository Alerts", {
+      group: "overview",
+      tone: "warn",
+      markdown: alertBlock,
+      parts: [{ type: "lines", lines: alertBlock.split("\n").filter(line => line.trim()) }]
+    }));
+  }
+
+  sections.push(buildBugSection(ctx), buildBacklogSection(ctx), buildPipelineSection(ctx), buildDoraSection(ctx));
+
+  const internalBlock = formatOrgSummary(ctx.orgLabels.internal, ctx.internalActive);
+  const clientBlock = formatOrgSummary(ctx.orgLabels.client, ctx.clientActive);
+  if (internalBlock || clientBlock) {
+    sections.push(createSection("projects", "📁 Project Metrics", {
+      group: "projects",
+      markdown: [internalBlock, clientBlock].filter(Boolean).join("\n\n"),
+      parts: [
+        linesPart(formatOrgSummary(ctx.orgLabels.internal, ctx.internalActive, { linkRepos: true }), `📂 ${ctx.orgLabels.internal}`),
+        linesPart(formatOrgSummary(ctx.orgLabels.client, ctx.clientActive, { linkRepos: true }), `📂 ${ctx.orgLabels.client}`)
+      ]
+    }));
+  }
+
+  sections.push(buildMilestoneSection(ctx));
+
+  const featuresBlock = formatMajorFeatures(ctx.mrsMerged);
+  if (featuresBlock) {
+    sections.push(createSection("features", "✨ Major Features Shipped", {
+      group: "projects",
+      markdown: featuresBlock,
+      parts: [linesPart(featuresBlock)]
+    }));
+  }
+  sections.push(buildChangelogSection(ctx), buildTrackerSection(ctx), buildReleaseSection(ctx), buildLargeChangesSection(ctx), buildOpenMrSection(ctx));
+
+  sections.push(buildRepoSections(ctx));
+
+  const members = ctx.memberSummaries;
+  const topMembers = members.slice(0, 9);
+  const remainingMembers = members.length - topMembers.length;
+  sections.push(createSection("members", "👥 Team Members", {
+    group: "team",
+    markdown: formatTeamMembers(members, "**Team Members Metrics**"),
+    parts: [
+      members.length
+        ? { type: "facts", facts: topMembers.map(member => ({ name: member.name, value: describeMemberActivity(member).join(" · ") })) }
+        : { type: "text", text: "_No member activity captured in this window._" },
+      remainingMembers > 0
+        ? { type: "text", text: `…and ${remainingMembers} more active contributor${remainingMembers === 1 ? "" : "s"}` }
+        : null
+    ]
+  }));
+
+  sections.push(buildWorkTypeSection(ctx), buildCommitSection(ctx));
+  return sections.filter(Boolean);
+}
+
+function buildDigestSections(ctx) {
+  const series = buildDigestSeries({
+    since: ctx.since,
+    until: ctx.until,
+    commits: ctx.commits,
+    mrsMerged: ctx.mrsMerged,
+    issuesClosed: ctx.issuesClosed
+  });
+  const sections = [buildMetricsSection(ctx), buildPartialDataSection(ctx)];
+
+  const activityBlock = formatDigestActivity(series);
+  if (activityBlock) {
+    sections.push(createSection("activity", `📈 Activity per ${series.unit}`, {
+      group: "overview",
+      markdown: activityBlock,
+      parts: [{ type: "table", rows: [["Series", "Trend", "Total"], ...digestActivityRows(series.buckets)] }]
+    }));
+  }
+  const busiestBlock = formatBusiestDays(series);
+  if (busiestBlock) {
+    sections.push(createSection("busiest", series.unit === "week" ? "🔥 Busiest Weeks" : "🔥 Busiest Days", {
+      group: "overview",
+      markdown: busiestBlock,
+      parts: [linesPart(busiestBlock)]
+    }));
+  }
+  sections.push(buildVelocitySection(ctx), buildReviewSection(ctx), buildBugSection(ctx), buildBacklogSection(ctx), buildPipelineSection(ctx), buildDoraSection(ctx));
+
+  sections.push(buildMilestoneSection(ctx));
+
+  const featuresBlock = formatMajorFeatures(ctx.mrsMerged, { limit: 10, heading: "**✨ Top Shipped PRs**" });
+  if (featuresBlock) {
+    sections.push(createSection("features", "✨ Top Shipped PRs", {
+      group: "projects",
+      markdown: featuresBlock,
+      parts: [linesPart(featuresBlock)]
+    }));
+  }
+  sections.push(buildChangelogSection(ctx), buildTrackerSection(ctx), buildReleaseSection(ctx), buildLargeChangesSection(ctx, { limit: 10 }), buildOpenMrSection(ctx));
+  sections.push(buildRepoSections(ctx));
+
+  const totalsBlock = formatMemberTotals(ctx.memberSummaries);
+  if (totalsBlock) {
+    const remaining = ctx.memberSummaries.length - Math.min(ctx.memberSummaries.length, 15);
+    sections.push(createSection("members", "👥 Member Totals", {
+      group: "team",
+      markdown: totalsBlock,
+      parts: [
+        { type: "table", rows: [memberTotalsHeader(ctx.memberSummaries), ...memberTotalsRows(ctx.memberSummaries)] },
+        remaining > 0 ? { type: "text", text: `…and ${remaining} more contributor${remaining === 1 ? "" : "s"}.` } : null
+      ]
+    }));
+  }
+  sections.push(buildWorkTypeSection(ctx), buildCommitSection(ctx));
+  return sections.filter(Boolean);
+}
+
+const DIGEST_MODE_LABELS = {
+  WEEKLY: "Weekly Digest",
+  MONTHLY: "Monthly Digest",
+  SPRINT: "Sprint Digest",
+  CUSTOM: "Digest"
+};
+
+function buildReport(ctx) {
+  const { reportWindow } = ctx;
+  const title = ctx.title || REPORT_TITLE;
+  const heading = reportWindow.digest
+    ? `${title} – ${DIGEST_MODE_LABELS[reportWindow.mode] || "Digest"}: ${reportWindow.label}`
+    : `${title} – ${reportWindow.label}`;
+  const sections = reportWindow.digest ? buildDigestSections(ctx) : buildDailySections(ctx);
+  return {
+    title,
+    heading,
+    windowLabel: reportWindow.label,
+    mode: reportWindow.mode,
+    digest: reportWindow.digest,
+    since: dayjs(reportWindow.since).toISOString(),
+    until: dayjs(reportWindow.until).toISOString(),
+    generatedAt: dayjs().toISOString(),
+    summaryLine: ctx.summaryLine,
+    tone: sections.find(section => section.id === "metrics")?.tone || "info",
+    totals: ctx.totals,
+    sections,
+    footer: REPORT_FOOTER
+  };
+}
+
+function selectReportSections(report, sectionIds) {
+  if (!sectionIds || !sectionIds.length) return report;
+  const wanted = new Set(sectionIds);
+  return { ...report, sections: report.sections.filter(section => wanted.has(section.id)) };
+}
+
+function renderMarkdownMessages(report) {
+  const groups = [];
+  for (const section of report.sections) {
+    if (!section.markdown) continue;
+    let group = groups.find(entry => entry.name === section.group);
+    if (!group) {
+      group = { name: section.group, blocks: [] };
+      groups.push(group);
+    }
+    group.blocks.push(section.markdown);
+  }
+  const messages = groups.map(group => [REPORT_GROUP_HEADINGS[group.name], ...group.blocks].filter(Boolean));
+  if (!messages.length) messages.push([]);
+  messages[0].unshift(`📊 **${report.heading}**`, report.summaryLine);
+  messages[messages.length - 1].push(`_${report.footer}_`);
+  return messages;
+}
+
+function renderDiscordEmbeds(report) {
+  const embeds = report.sections.map(section => {
+    const description = [];
+    const fields = [];
+    for (const part of section.parts) {
+      if (part.type === "text") {
+        description.push(part.text);
+      } else if (part.type === "facts") {
+        for (const fact of part.facts) {
+          const value = fact.note ? `**${fact.value}**\n\`${fact.note}\`` : String(fact.value);
+          fields.push({ name: fact.name, value, inline: true });
+        }
+      } else if (part.type === "lines") {
+        if (part.title) fields.push({ name: part.title, value: part.lines.join("\n") });
+        else description.push(part.lines.join("\n"));
+      } else if (part.type === "table") {
+        const table = formatTable(part.rows);
+        if (part.title) fields.push({ name: part.title, value: table });
+        else description.push(table);
+      }
+    }
+    return {
+      title: section.title,
+      description: description.length ? description.join("\n\n") : undefined,
+      color: EMBED_COLORS[section.tone] || EMBED_COLORS.info,
+      fields
+    };
+  });
+  if (embeds[0] && report.sections[0]?.id === "metrics") {
+    embeds[0].title = `📊 ${report.heading}`;
+    embeds[0].description = [report.summaryLine, embeds[0].description].filter(Boolean).join("\n");
+  } else {
+    embeds.unshift({
+      title: `📊 ${report.heading}`,
+      description: report.summaryLine,
+      color: EMBED_COLORS[report.tone] || EMBED_COLORS.info
+    });
+  }
+  const last = embeds[embeds.length - 1];
+  last.footer = { text: report.footer };
+  last.timestamp = report.generatedAt;
+  return embeds;
+}
+
+const SLACK_LIMITS = { blocksPerMessage: 50, text: 3000, header: 150, fieldsPerSection: 10, field: 2000 };
+
+function toSlackMrkdwn(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, "<$2|$1>")
+    .replace(/\*\*(.+?)\*\*/g, "*$1*");
+}
+
+function slackSection(text) {
+  return { type: "section", text: { type: "mrkdwn", text: truncateMarkdown(toSlackMrkdwn(text), SLACK_LIMITS.text) } };
+}
+
+function renderSlackMessages(report) {
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: truncateMarkdown(`📊 ${report.heading}`, SLACK_LIMITS.header), emoji: true } },
+    { type: "context", elements: [{ type: "mrkdwn", text: toSlackMrkdwn(report.summaryLine) }] }
+  ];
+  for (const section of report.sections) {
+    blocks.push({ type: "divider" }, slackSection(`**${section.title}**`));
+    for (const part of section.parts) {
+      if (part.type === "text") {
+        blocks.push(slackSection(part.text));
+      } else if (part.type === "facts") {
+        for (let i = 0; i < part.facts.length; i += SLACK_LIMITS.fieldsPerSection) {
+          blocks.push({
+            type: "section",
+            fields: part.facts.slice(i, i + SLACK_LIMITS.fieldsPerSection).map(fact => ({
+              type: "mrkdwn",
+              text: truncateMarkdown(
+                toSlackMrkdwn(`**${fact.name}**\n${fact.value}${fact.note ? ` (${fact.note})` : ""}`),
+                SLACK_LIMITS.field
+              )
+            }))
+          });
+        }
+      } else if (part.type === "lines") {
+        blocks.push(slackSection([part.title ? `**${part.title}**` : null, ...part.lines].filter(Boolean).join("\n")));
+      } else if (part.type === "table") {
+        // Slack has no fence languages and would print "text" as the first line.
+        blocks.push(slackSection([part.title ? `**${part.title}**` : null, formatTable(part.rows, { lang: "" })].filter(Boolean).join("\n")));
+      }
+    }
+  }
+  blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: toSlackMrkdwn(`_${report.footer}_`) }] });
+
+  const messages = [];
+  for (let i = 0; i < blocks.length; i += SLACK_LIMITS.blocksPerMessage) {
+    messages.push({ text: report.heading, blocks: blocks.slice(i, i + SLACK_LIMITS.blocksPerMessage) });
+  }
+  return messages;
+}
+
+const TEAMS_CONTAINER_STYLES = { good: "good", warn: "warning", bad: "attention", neutral: "default", info: "emphasis" };
+// Teams rejects cards of roughly 28 KB and above; stay well below it.
+const TEAMS_CARD_BUDGET = 24000;
+
+function teamsTextBlock(text, extra = {}) {
+  return { type: "TextBlock", text: String(text ?? ""), wrap: true, ...extra };
+}
+
+function teamsSectionContainer(section) {
+  const items = [teamsTextBlock(section.title, { weight: "Bolder", size: "Medium" })];
+  for (const part of section.parts) {
+    if (part.type === "text") {
+      items.push(teamsTextBlock(part.text));
+    } else if (part.type === "facts") {
+      items.push({
+        type: "FactSet",
+        facts: part.facts.map(fact => ({
+          title: fact.name,
+          value: fact.note ? `${fact.value} (${fact.note})` : String(fact.value)
+        }))
+      });
+    } else if (part.type === "lines") {
+      if (part.title) items.push(teamsTextBlock(part.title, { weight: "Bolder" }));
+      part.lines.forEach(line => items.push(teamsTextBlock(line, { spacing: "None" })));
+    } else if (part.type === "table") {
+      if (part.title) items.push(teamsTextBlock(part.title, { weight: "Bolder" }));
+      items.push({
+        type: "Table",
+        firstRowAsHeaders: true,
+        showGridLines: false,
+        columns: part.rows[0].map(() => ({ width: 1 })),
+        rows: part.rows.map(row => ({
+          type: "TableRow",
+          cells: row.map(cell => ({ type: "TableCell", items: [teamsTextBlock(cell, { fontType: "Monospace" })] }))
+        }))
+      });
+    }
+  }
+  return {
+    type: "Container",
+    style: TEAMS_CONTAINER_STYLES[section.tone] || "default",
+    separator: true,
+    items
+  };
+}
+
+function teamsCard(body) {
+  return {
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.5",
+          msteams: { width: "Full" },
+          body
+        }
+      }
+    ]
+  };
+}
+
+function renderTeamsMessages(report) {
+  const header = [
+    teamsTextBlock(`📊 ${report.heading}`, { size: "Large", weight: "Bolder" }),
+    teamsTextBlock(report.summaryLine, { isSubtle: true, spacing: "None" })
+  ];
+  const cards = [];
+  let body = [...header];
+  for (const container of report.sections.map(teamsSectionContainer)) {
+    const size = JSON.stringify(body).length + JSON.stringify(container).length;
+    if (size > TEAMS_CARD_BUDGET && body.length > header.length) {
+      cards.push(body);
+      body = [];
+    }
+    body.push(container);
   }
-  
-  return sections.length > 0 ? sections.join("\n\n") : null;
+  body.push(teamsTextBlock(report.footer, { isSubtle: true, size: "Small" }));
+  cards.push(body);
+  return cards.map(teamsCard);
 }
 
-function chunkMessage(text, limit = 1800) {
-  const chunks = [];
-  if (!text) {
-    return chunks;
+function renderJsonPayload(report) {
+  return { type: "velocity-report", version: 1, report };
+}
+
+async function postEmbeds(embeds, destination) {
+  const messages = packEmbeds(embeds);
+  for (const batch of messages) {
+    await postWebhook(destination, { embeds: batch });
   }
-  const lines = text.split("\n");
-  let current = "";
-  for (const line of lines) {
-    const candidate = current ? `${current}\n${line}` : line;
-    if (candidate.length <= limit) {
-      current = candidate;
-      continue;
-    }
-    if (current) {
-      chunks.push(current);
-      current = "";
-    }
-    if (line.length <= limit) {
-      current = line;
-    } else {
-      let index = 0;
-      while (index < line.length) {
-        chunks.push(line.slice(index, index + limit));
-        index += limit;
+  return messages.length;
+}
+
+async function postPayloads(destination, payloads) {
+  for (const payload of payloads) {
+    await postWebhook(destination, payload);
+  }
+  return payloads.length;
+}
+
+// Each adapter posts a (section-filtered) report to one destination and
+// returns the number of webhook calls it made.
+const OUTPUT_ADAPTERS = {
+  async discord(report, destination) {
+    if (destination.format === "text") {
+      let posted = 0;
+      for (const blocks of renderMarkdownMessages(report)) {
+        posted += await postMessageBlocks(blocks, destination);
       }
+      return posted;
     }
+    return postEmbeds(renderDiscordEmbeds(report), destination);
+  },
+  async slack(report, destination) {
+    return postPayloads(destination, renderSlackMessages(report));
+  },
+  async teams(report, destination) {
+    return postPayloads(destination, renderTeamsMessages(report));
+  },
+  async json(report, destination) {
+    return postPayloads(destination, [renderJsonPayload(report)]);
   }
-  if (current) chunks.push(current);
-  return chunks;
-}
+};
 
-async function postMessageBlocks(blocks) {
-  const content = blocks.filter(Boolean).join("\n\n").trim();
-  if (!content) return;
-  const chunks = chunkMessage(content);
-  for (const chunk of chunks) {
-    if (chunk.trim()) {
-      await axios.post(DISCORD_WEBHOOK_URL, { content: chunk });
+// Delivers to every destination; one failing webhook does not stop the others.
+async function deliverReport(report, destinations) {
+  let posted = 0;
+  let failed = 0;
+  for (const destination of destinations) {
+    try {
+      const count = await OUTPUT_ADAPTERS[destination.type](
+        selectReportSections(report, destination.sections),
+        destination
+      );
+      console.log(`Delivered to ${destination.name} (${destination.type}) in ${count} message${count === 1 ? "" : "s"}.`);
+      posted += count;
+    } catch (err) {
+      failed += 1;
+      console.error(`Delivery to ${destination.name} (${destination.type}) failed:`, err?.response?.status || err.message);
     }
   }
+  return { posted, failed };
 }
 
-async function collectForProject(projectId, since, until, monthStart) {
+async function collectForProject(instance, rawProjectId, since, until, monthStart) {
+  const projectId = gitlabProjectKey(instance, rawProjectId);
+  const apiProjectPath = `/projects/${encodeURIComponent(rawProjectId)}`;
   const sinceISO = dayjs(since).toISOString();
   const untilISO = dayjs(until).toISOString();
   const monthStartISO = dayjs(monthStart).toISOString();
@@ -701,15 +5218,17 @@ async function collectForProject(projectId, since, until, monthStart) {
   const sinceMoment = dayjs(since);
   const untilMoment = dayjs(until);
 
-  const commits = await fetchAllPaged(`/projects/${encodeURIComponent(projectId)}/repository/commits`, {
+  const commits = await fetchAllPaged(instance, `${apiProjectPath}/repository/commits`, {
     since: sinceISO,
     until: untilISO,
-    all: true // include commits across all branches
+    all: true, // include commits across all branches
+    with_stats: DIFF_STATS_ENABLED
   });
 
-  const mrsUpdated = await fetchAllPaged(`/projects/${encodeURIComponent(projectId)}/merge_requests`, {
-    updated_after: sinceISO, scope: "all"
-  });
+  const markKey = `${instance.client.defaults.baseURL}${apiProjectPath}`;
+  const mrsUpdated = await fetchIncremental(`${markKey}/merge_requests`, sinceISO, after =>
+    fetchAllPaged(instance, `${apiProjectPath}/merge_requests`, { updated_after: after, scope: "all" })
+  );
   const mrsOpened = mrsUpdated.filter(mr =>
     dayjs(mr.created_at).isAfter(dayjs(since)) &&
     dayjs(mr.created_at).isBefore(dayjs(until))
@@ -720,9 +5239,9 @@ async function collectForProject(projectId, since, until, monthStart) {
     dayjs(mr.merged_at).isBefore(untilMoment)
   );
 
-  const issuesUpdated = await fetchAllPaged(`/projects/${encodeURIComponent(projectId)}/issues`, {
-    updated_after: monthStartISO, scope: "all"
-  });
+  const issuesUpdated = await fetchIncremental(`${markKey}/issues`, monthStartISO, after =>
+    fetchAllPaged(instance, `${apiProjectPath}/issues`, { updated_after: after, scope: "all" })
+  );
   const issuesOpened = issuesUpdated.filter(iss =>
     dayjs(iss.created_at).isAfter(sinceMoment) &&
     dayjs(iss.created_at).isBefore(untilMoment)
@@ -743,7 +5262,7 @@ async function collectForProject(projectId, since, until, monthStart) {
     dayjs(iss.closed_at).isBefore(untilMoment)
   );
 
-  const projectInfo = await getProjectInfo(projectId);
+  const projectInfo = await getProjectInfo(instance, rawProjectId);
   const projectName = projectInfo?.name || String(projectId);
   const projectPath = projectInfo?.path_with_namespace || projectName;
   const projectWebUrl = projectInfo?.web_url || null;
@@ -752,10 +5271,17 @@ async function collectForProject(projectId, since, until, monthStart) {
     id: commit.id,
     short_id: commit.short_id,
     title: commit.title,
+    message: commit.message,
     author_name: commit.author_name,
     author_email: commit.author_email,
     author: commit.author,
     created_at: commit.created_at,
+    authored_date: commit.authored_date || commit.created_at,
+    parentCount: Array.isArray(commit.parent_ids) ? commit.parent_ids.length : null,
+    // with_stats totals; replaced by the per-file diff (minus excluded paths) when it is fetched.
+    diffStats: commit.stats
+      ? { additions: commit.stats.additions, deletions: commit.stats.deletions, files: null, excludedFiles: 0 }
+      : null,
     projectId,
     projectName,
     projectPath,
@@ -771,6 +5297,8 @@ async function collectForProject(projectId, since, until, monthStart) {
     updated_at: mr.updated_at,
     merged_at: mr.merged_at,
     web_url: mr.web_url,
+    labels: mr.labels || [],
+    source_branch: mr.source_branch,
     projectId,
     projectName,
     projectPath,
@@ -784,12 +5312,105 @@ async function collectForProject(projectId, since, until, monthStart) {
     created_at: issue.created_at,
     closed_at: issue.closed_at,
     web_url: issue.web_url,
+    author: issue.author,
+    labels: issue.labels || [],
     projectId,
     projectName,
     projectPath,
     projectWebUrl
   });
 
+  const simplifiedCommits = commits.map(simplifyCommit);
+  const simplifiedMrsMerged = mrsMerged.map(simplifyMr);
+  if (DIFF_STATS_ENABLED) {
+    await attachItemDetails(
+      simplifiedCommits.filter(commit => !(COMMIT_EXCLUDE_MERGES && isMergeCommit(commit))),
+      "diffStats",
+      `${projectName} commits`,
+      commit => fetchGitlabCommitDiffStats(instance, apiProjectPath, commit),
+      DIFF_STATS_MAX_COMMITS
+    );
+    await attachItemDetails(
+      simplifiedMrsMerged,
+      "diffStats",
+      `${projectName} merge requests`,
+      mr => fetchGitlabMrDiffStats(instance, apiProjectPath, mr.iid)
+    );
+  }
+  let openMrs = [];
+  if (OPEN_MR_AGING_ENABLED) {
+    try {
+      openMrs = await fetchGitlabOpenMrs(instance, apiProjectPath, { projectId, projectName, projectPath, projectWebUrl });
+    } catch (err) {
+      console.warn(`Unable to fetch open merge requests for ${projectName}:`, err?.response?.status || err.message);
+    }
+  }
+  let ci = null;
+  if (PIPELINE_HEALTH_ENABLED) {
+    try {
+      ci = await collectGitlabPipelines(instance, apiProjectPath, { projectId, projectName, projectPath, projectWebUrl }, projectInfo?.default_branch, sinceISO, untilISO);
+    } catch (err) {
+      console.warn(`Unable to fetch pipelines for ${projectName}:`, err?.response?.status || err.message);
+    }
+  }
+  let deployments = [];
+  if (DORA_ENABLED) {
+    try {
+      deployments = await fetchGitlabDeployments(instance, apiProjectPath, sinceISO);
+    } catch (err) {
+      console.warn(`Unable to fetch deployments for ${projectName}:`, err?.response?.status || err.message);
+    }
+    if (deployments.length) {
+      await attachItemDetails(simplifiedMrsMerged, "firstCommitAt", `${projectName} merge requests`, async mr => {
+        const mrCommits = await fetchAllPaged(instance, `${apiProjectPath}/merge_requests/${mr.iid}/commits`);
+        const dates = mrCommits.map(commit => commit.authored_date || commit.created_at).filter(Boolean).map(date => dayjs(date).valueOf());
+        return dates.length ? dayjs(Math.min(...dates)).toISOString() : null;
+      });
+    }
+  }
+  let milestones = [];
+  if (MILESTONES_ENABLED) {
+    try {
+      milestones = await fetchGitlabMilestones(instance, apiProjectPath, projectName);
+    } catch (err) {
+      console.warn(`Unable to fetch milestones for ${projectName}:`, err?.response?.status || err.message);
+    }
+  }
+  let openIssues = null;
+  if (BACKLOG_HEALTH_ENABLED) {
+    try {
+      openIssues = await fetchGitlabOpenIssues(instance, apiProjectPath, { projectId, projectName, projectPath, projectWebUrl });
+    } catch (err) {
+      console.warn(`Unable to fetch open issues for ${projectName}:`, err?.response?.status || err.message);
+    }
+  }
+  let releases = [];
+  if (RELEASE_TRACKING_ENABLED) {
+    try {
+      releases = trackReleases(
+        await fetchGitlabReleases(instance, apiProjectPath, sinceISO, { projectId, projectName, projectPath, projectWebUrl }),
+        sinceMoment,
+        untilMoment
+      );
+      const earliest = earliestPreviousRelease(releases);
+      if (earliest) {
+        const mergedSince = earliest.isBefore(sinceMoment)
+          ? await fetchAllPaged(instance, `${apiProjectPath}/merge_requests`, { state: "merged", updated_after: earliest.toISOString(), scope: "all" })
+          : mrsUpdated.filter(mr => mr.state === "merged");
+        countReleaseMrs(releases, mergedSince);
+      }
+    } catch (err) {
+      console.warn(`Unable to fetch releases for ${projectName}:`, err?.response?.status || err.message);
+    }
+  }
+  if (REVIEW_METRICS_ENABLED) {
+    await attachItemDetails(simplifiedMrsMerged, "review", `${projectName} merge requests`, async mr => {
+      const review = await fetchGitlabMrReview(instance, apiProjectPath, mr);
+      review.events.forEach(event => { event.projectId = projectId; });
+      return review;
+    });
+  }
+
   // Calculate last activity date from all activities
   const allDates = [
     ...commits.map(c => c.created_at),
@@ -813,9 +5434,17 @@ async function collectForProject(projectId, since, until, monthStart) {
     projectPath,
     projectWebUrl,
     projectInfo,
-    commits: commits.map(simplifyCommit),
+    gitlabInstance: instance.name,
+    commits: simplifiedCommits,
     mrsOpened: mrsOpened.map(simplifyMr),
-    mrsMerged: mrsMerged.map(simplifyMr),
+    mrsMerged: simplifiedMrsMerged,
+    openMrs,
+    pipelines: ci?.pipelines || [],
+    defaultBranchStatus: ci?.defaultBranchStatus || null,
+    deployments,
+    releases,
+    openIssues,
+    milestones,
     issuesOpened: issuesOpened.map(simplifyIssue),
     issuesClosed: issuesClosed.map(simplifyIssue),
     monthIssuesOpened: monthIssuesOpened.map(simplifyIssue),
@@ -880,13 +5509,177 @@ async function fetchGithubIssues(owner, repo, sinceISO) {
   return issues;
 }
 
-async function collectForGithubRepo(fullName, since, until, monthStart) {
+const GITHUB_GRAPHQL_PAGE = 100;
+
+function githubGraphqlUser(actor) {
+  if (!actor?.login) return null;
+  // REST reports app accounts as "name[bot]" with type Bot; GraphQL drops the suffix.
+  const bot = actor.__typename === "Bot";
+  return { login: bot ? `${actor.login}[bot]` : actor.login, type: bot ? "Bot" : "User" };
+}
+
+// GitActor.user is only ever a User, so app commits come back without one. REST
+// still links them to the "name[bot]" account, which the noreply email names.
+function githubGraphqlCommitAuthor(actor) {
+  if (actor?.user?.login) return { login: actor.user.login, type: "User" };
+  const bot = String(actor?.email || "").match(/^(?:\d+\+)?([^@]+\[bot\])@users\.noreply\.github\.com$/i);
+  return bot ? { login: bot[1], type: "Bot" } : null;
+}
+
+function githubGraphqlLabels(labels) {
+  return (labels?.nodes || []).map(label => ({ name: label.name }));
+}
+
+function githubRepoQuery(alias, owner, repo) {
+  return `${alias}: repository(owner: ${JSON.stringify(owner)}, name: ${JSON.stringify(repo)}) {
+    name nameWithOwner url createdAt updatedAt pushedAt
+    defaultBranchRef {
+      name
+      target {
+        ... on Commit {
+          history(since: $since, until: $until, first: ${GITHUB_GRAPHQL_PAGE}) {
+            pageInfo { hasNextPage }
+            nodes {
+              oid message authoredDate committedDate
+              parents { totalCount }
+              author { name email user { login } }
+              committer { name email }
+            }
+          }
+        }
+      }
+    }
+    pullRequests(first: ${GITHUB_GRAPHQL_PAGE}, orderBy: { field: UPDATED_AT, direction: DESC }) {
+      pageInfo { hasNextPage }
+      nodes {
+        databaseId number title url createdAt updatedAt mergedAt headRefName
+        author { login __typename }
+        labels(first: 20) { nodes { name } }
+        reviews(first: 50) { pageInfo { hasNextPage } nodes { state submittedAt commit { oid } author { login __typename } } }
+      }
+    }
+    issues(first: ${GITHUB_GRAPHQL_PAGE}, filterBy: { since: $issuesSince }, orderBy: { field: UPDATED_AT, direction: DESC }) {
+      pageInfo { hasNextPage }
+      nodes {
+        databaseId number title url createdAt updatedAt closedAt
+        author { login __typename }
+        labels(first: 20) { nodes { name } }
+      }
+    }
+  }`;
+}
+
+// Converts one GraphQL repository node into the REST payloads collectForGithubRepo
+// already normalizes. A list that overflows one page is left null so the caller
+// falls back to REST paging for it.
+function githubGraphqlPrefetch(node, sinceISO) {
+  const history = node.defaultBranchRef?.target?.history;
+  const commitsRaw = history && !history.pageInfo.hasNextPage
+    ? history.nodes.map(commit => ({
+        sha: commit.oid,
+        commit: {
+          message: commit.message,
+          author: { name: commit.author?.name, email: commit.author?.email, date: commit.authoredDate },
+          committer: { name: commit.committer?.name, email: commit.committer?.email, date: commit.committedDate }
+        },
+        author: githubGraphqlCommitAuthor(commit.author),
+        parents: Array.from({ length: commit.parents?.totalCount || 0 }, () => ({}))
+      }))
+    : history ? null : [];
+
+  const cutoff = Date.parse(sinceISO);
+  const pullNodes = node.pullRequests.nodes;
+  const lastPull = pullNodes[pullNodes.length - 1];
+  const pullsComplete = !node.pullRequests.pageInfo.hasNextPage || (lastPull && Date.parse(lastPull.updatedAt) < cutoff);
+  const reviews = new Map();
+  const pullsRaw = pullsComplete
+    ? pullNodes.filter(pull => Date.parse(pull.updatedAt) >= cutoff).map(pull => {
+        if (pull.reviews && !pull.reviews.pageInfo.hasNextPage) reviews.set(pull.databaseId, pull.reviews.nodes.map(review => ({
+          state: review.state,
+          submitted_at: review.submittedAt,
+          commit_id: review.commit?.oid || null,
+          user: githubGraphqlUser(review.author)
+        })));
+        return {
+          id: pull.databaseId,
+          number: pull.number,
+          title: pull.title,
+          user: githubGraphqlUser(pull.author),
+          created_at: pull.createdAt,
+          updated_at: pull.updatedAt,
+          merged_at: pull.mergedAt,
+          html_url: pull.url,
+          labels: githubGraphqlLabels(pull.labels),
+          head: { ref: pull.headRefName }
+        };
+      })
+    : null;
+
+  const issuesRaw = node.issues.pageInfo.hasNextPage
+    ? null
+    : node.issues.nodes.map(issue => ({
+        id: issue.databaseId,
+        number: issue.number,
+        title: issue.title,
+        user: githubGraphqlUser(issue.author),
+        created_at: issue.createdAt,
+        updated_at: issue.updatedAt,
+        closed_at: issue.closedAt,
+        html_url: issue.url,
+        labels: githubGraphqlLabels(issue.labels)
+      }));
+
+  return {
+    repoInfo: {
+      name: node.name,
+      full_name: node.nameWithOwner,
+      html_url: node.url,
+      default_branch: node.defaultBranchRef?.name || null,
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+      pushed_at: node.pushedAt
+    },
+    commitsRaw,
+    pullsRaw,
+    issuesRaw,
+    reviews: pullsRaw ? reviews : null
+  };
+}
+
+// One GraphQL query per batch of repos. Returns prefetched payloads keyed by the
+// requested repo name; repos the query could not resolve are left out and
+// collected over REST instead.
+async function fetchGithubGraphqlBatch(fullNames, { sinceISO, untilISO, issuesSinceISO }) {
+  const fields = fullNames.map((fullName, index) => {
+    const [owner, repo] = fullName.split("/");
+    return githubRepoQuery(`r${index}`, owner, repo);
+  });
+  const query = `query($since: GitTimestamp!, $until: GitTimestamp!, $issuesSince: DateTime!) {\n${fields.join("\n")}\n}`;
+  const { data } = await github.post("/graphql", {
+    query,
+    variables: { since: sinceISO, until: untilISO, issuesSince: issuesSinceISO }
+  });
+  for (const error of data?.errors || []) {
+    const index = Number(String(error.path?.[0] || "").slice(1));
+    const target = Number.isInteger(index) && fullNames[index] ? `${fullNames[index]}: ` : "";
+    console.warn(`GitHub GraphQL: ${target}${error.message}`);
+  }
+  const prefetched = new Map();
+  fullNames.forEach((fullName, index) => {
+    const node = data?.data?.[`r${index}`];
+    if (node) prefetched.set(fullName, githubGraphqlPrefetch(node, sinceISO));
+  });
+  return prefetched;
+}
+
+// `prefetched` carries the GraphQL backend's payloads; any list it lacks is fetched over REST.
+async function collectForGithubRepo(fullName, since, until, monthStart, prefetched = null) {
   if (!github) return null;
   const normalized = normalizeRepoName(fullName);
-  let repoInfo = githubRepoCache.get(normalized);
+  let repoInfo = githubRepoCache.get(normalized) || prefetched?.repoInfo;
   if (!repoInfo) {
     try {
-      const { data } = await github.get(`/repos/${fullName}`);
+      const { data } = await github.get(`/repos/${fullName}`, { cacheTtlMs: METADATA_TTL_MS });
       repoInfo = data;
       githubRepoCache.set(normalized, data);
     } catch (err) {
@@ -908,9 +5701,9 @@ async function collectForGithubRepo(fullName, since, until, monthStart) {
   const monthStartMoment = dayjs(monthStart);
 
   const [commitsRaw, pullsRaw, issuesRaw] = await Promise.all([
-    fetchGithubCommits(owner, repo, sinceISO, untilISO),
-    fetchGithubPulls(owner, repo, sinceMoment),
-    fetchGithubIssues(owner, repo, monthStartISO)
+    prefetched?.commitsRaw || fetchGithubCommits(owner, repo, sinceISO, untilISO),
+    prefetched?.pullsRaw || fetchIncremental(`github:${projectPath}/pulls`, sinceISO, after => fetchGithubPulls(owner, repo, dayjs(after))),
+    prefetched?.issuesRaw || fetchIncremental(`github:${projectPath}/issues`, monthStartISO, after => fetchGithubIssues(owner, repo, after))
   ]);
 
   const commits = commitsRaw
@@ -932,7 +5725,7 @@ async function collectForGithubRepo(fullName, since, until, monthStart) {
       const authorEmail = commit.commit?.author?.email || commit.commit?.committer?.email || null;
       const author =
         commit.author?.login
-          ? { name: commit.author.login, username: commit.author.login }
+          ? { name: commit.author.login, username: commit.author.login, bot: commit.author.type === "Bot" }
           : authorName
           ? { name: authorName, username: authorName }
           : null;
@@ -940,10 +5733,13 @@ async function collectForGithubRepo(fullName, since, until, monthStart) {
         id: sha,
         short_id: sha ? sha.substring(0, 8) : undefined,
         title,
+        message,
         author_name: authorName,
         author_email: authorEmail,
         author,
         created_at: commit.commit?.author?.date || commit.commit?.committer?.date,
+        authored_date: commit.commit?.author?.date || null,
+        parentCount: Array.isArray(commit.parents) ? commit.parents.length : null,
         projectId: projectPath,
         projectName,
         projectPath,
@@ -953,7 +5749,7 @@ async function collectForGithubRepo(fullName, since, until, monthStart) {
 
   const pulls = pullsRaw.map(pull => {
     const author =
-      pull.user?.login ? { name: pull.user.login, username: pull.user.login } : null;
+      pull.user?.login ? { name: pull.user.login, username: pull.user.login, bot: pull.user.type === "Bot" } : null;
     return {
       id: pull.id,
       iid: pull.number,
@@ -963,6 +5759,8 @@ async function collectForGithubRepo(fullName, since, until, monthStart) {
       updated_at: pull.updated_at,
       merged_at: pull.merged_at,
       web_url: pull.html_url,
+      labels: (pull.labels || []).map(label => label.name),
+      source_branch: pull.head?.ref,
       projectId: projectPath,
       projectName,
       projectPath,
@@ -984,7 +5782,7 @@ async function collectForGithubRepo(fullName, since, until, monthStart) {
 
   const issues = issuesRaw.map(issue => {
     const author =
-      issue.user?.login ? { name: issue.user.login, username: issue.user.login } : null;
+      issue.user?.login ? { name: issue.user.login, username: issue.user.login, bot: issue.user.type === "Bot" } : null;
     return {
       id: issue.id,
       iid: issue.number,
@@ -993,6 +5791,7 @@ async function collectForGithubRepo(fullName, since, until, monthStart) {
       closed_at: issue.closed_at,
       web_url: issue.html_url,
       author,
+      labels: (issue.labels || []).map(label => (typeof label === "string" ? label : label.name)),
       projectId: projectPath,
       projectName,
       projectPath,
@@ -1024,6 +5823,89 @@ async function collectForGithubRepo(fullName, since, until, monthStart) {
     dayjs(issue.closed_at).isBefore(untilMoment)
   );
 
+  if (DIFF_STATS_ENABLED) {
+    await attachItemDetails(
+      commits.filter(commit => !(COMMIT_EXCLUDE_MERGES && isMergeCommit(commit))),
+      "diffStats",
+      `${projectName} commits`,
+      commit => fetchGithubCommitDiffStats(owner, repo, commit.id),
+      DIFF_STATS_MAX_COMMITS
+    );
+    await attachItemDetails(mrsMerged, "diffStats", `${projectName} pull requests`, pull => fetchGithubPullDiffStats(owner, repo, pull.iid));
+  }
+  let openMrs = [];
+  if (OPEN_MR_AGING_ENABLED) {
+    try {
+      openMrs = await fetchGithubOpenPulls(owner, repo, { projectId: projectPath, projectName, projectPath, projectWebUrl });
+    } catch (err) {
+      console.warn(`Unable to fetch open pull requests for ${projectName}:`, err?.response?.status || err.message);
+    }
+  }
+  let ci = null;
+  if (PIPELINE_HEALTH_ENABLED) {
+    try {
+      ci = await collectGithubWorkflowRuns(owner, repo, { projectId: projectPath, projectName, projectPath, projectWebUrl }, repoInfo?.default_branch, sinceISO, untilISO);
+    } catch (err) {
+      console.warn(`Unable to fetch workflow runs for ${projectName}:`, err?.response?.status || err.message);
+    }
+  }
+  let deployments = [];
+  if (DORA_ENABLED) {
+    try {
+      deployments = await fetchGithubDeployments(owner, repo, sinceISO);
+    } catch (err) {
+      console.warn(`Unable to fetch deployments for ${projectName}:`, err?.response?.status || err.message);
+    }
+    if (deployments.length) {
+      await attachItemDetails(mrsMerged, "firstCommitAt", `${projectName} pull requests`, async pull => {
+        const pullCommits = await fetchGithubPaged(`/repos/${owner}/${repo}/pulls/${pull.iid}/commits`);
+        const dates = pullCommits.map(commit => commit.commit?.author?.date).filter(Boolean).map(date => dayjs(date).valueOf());
+        return dates.length ? dayjs(Math.min(...dates)).toISOString() : null;
+      });
+    }
+  }
+  let milestones = [];
+  if (MILESTONES_ENABLED) {
+    try {
+      milestones = await fetchGithubMilestones(owner, repo, projectName);
+    } catch (err) {
+      console.warn(`Unable to fetch milestones for ${projectName}:`, err?.response?.status || err.message);
+    }
+  }
+  let openIssues = null;
+  if (BACKLOG_HEALTH_ENABLED) {
+    try {
+      openIssues = await fetchGithubOpenIssues(owner, repo, { projectId: projectPath, projectName, projectPath, projectWebUrl });
+    } catch (err) {
+      console.warn(`Unable to fetch open issues for ${projectName}:`, err?.response?.status || err.message);
+    }
+  }
+  let releases = [];
+  if (RELEASE_TRACKING_ENABLED) {
+    try {
+      releases = trackReleases(
+        await fetchGithubReleases(owner, repo, sinceISO, { projectId: projectPath, projectName, projectPath, projectWebUrl }),
+        sinceMoment,
+        untilMoment
+      );
+      const earliest = earliestPreviousRelease(releases);
+      if (earliest) {
+        const pullsSince = earliest.isBefore(sinceMoment) ? await fetchGithubPulls(owner, repo, earliest) : pullsRaw;
+        countReleaseMrs(releases, pullsSince.filter(pull => pull.merged_at));
+      }
+    } catch (err) {
+      console.warn(`Unable to fetch releases for ${projectName}:`, err?.response?.status || err.message);
+    }
+  }
+  if (REVIEW_METRICS_ENABLED) {
+    await attachItemDetails(mrsMerged, "review", `${projectName} pull requests`, async pull => {
+      const prefetchedReviews = prefetched?.reviews?.get(pull.id);
+      const review = prefetchedReviews ? githubPullReview(pull, prefetchedReviews) : await fetchGithubPullReview(owner, repo, pull);
+      review.events.forEach(event => { event.projectId = projectPath; });
+      return review;
+    });
+  }
+
   // Calculate last activity date from all activities
   const allDates = [
     ...commits.map(c => c.created_at),
@@ -1050,6 +5932,14 @@ async function collectForGithubRepo(fullName, since, until, monthStart) {
     commits,
     mrsOpened,
     mrsMerged,
+    openMrs,
+    pipelines: ci?.pipelines || [],
+    defaultBranchStatus: ci?.defaultBranchStatus || null,
+    skippedRuns: ci?.skippedRuns || 0,
+    deployments,
+    releases,
+    openIssues,
+    milestones,
     issuesOpened,
     issuesClosed,
     monthIssuesOpened,
@@ -1059,37 +5949,17 @@ async function collectForGithubRepo(fullName, since, until, monthStart) {
   };
 }
 
-async function main() {
-  const { since, until, label } = computeWindow();
-  const monthStart = dayjs().tz(REPORT_TZ).startOf("month");
-  const staticGitlabIds = parseCsv("GITLAB_PROJECT_IDS");
-  let gitlabProjectIds = staticGitlabIds;
-  if (gitlabProjectIds.length === 0) {
-    gitlabProjectIds = await discoverProjects();
-  }
-
-  const gitlabResults = gitlabProjectIds.length
-    ? await Promise.all(gitlabProjectIds.map(pid => collectForProject(pid, since, until, monthStart)))
-    : [];
-
-  let githubRepos = parseCsv("GITHUB_REPOS");
-  if ((!githubRepos.length) && github) {
-    githubRepos = await discoverGithubRepos();
-  }
-
-  const githubResults = githubRepos.length && github
-    ? (await Promise.all(
-        githubRepos.map(repo => collectForGithubRepo(repo, since, until, monthStart))
-      )).filter(Boolean)
-    : [];
-
-  if (!gitlabResults.length && !githubResults.length) {
-    console.error("No projects discovered. Configure GitLab (GROUP_IDS/USER_ID or GITLAB_PROJECT_IDS) or GitHub (GITHUB_TOKEN with repositories).");
-    process.exit(1);
-  }
-
-  const results = [...gitlabResults, ...githubResults];
+function projectInClientGroup(group, project) {
+  const projectId = String(project.projectId).toLowerCase();
+  const projectPath = String(project.projectPath || "").toLowerCase();
+  if (group.projectIds.has(projectId)) return true;
+  if (isGithubProjectId(project.projectId) && group.githubRepos.has(projectId)) return true;
+  return group.namespaces.some(pattern => pattern.test(projectPath));
+}
 
+// Everything a report needs from one set of collected projects, so the rollup
+// and every client group are summarized the same way.
+function summarizeResults(results, isClientProject, { groupMilestones = [], ticketMetadata } = {}) {
   const hasActivity = project =>
     project.commits.length ||
     project.mrsOpened.length ||
@@ -1100,11 +5970,6 @@ async function main() {
   const activeResults = results.filter(hasActivity);
   const inactiveResults = results.filter(project => !hasActivity(project));
 
-  // Alert Configuration
-  const ALERT_INACTIVE = String(process.env.ALERT_INACTIVE_REPOS || "true").toLowerCase() === "true";
-  const STALE_THRESHOLD_DAYS = Number(process.env.ALERT_STALE_THRESHOLD_DAYS || 120);
-  const NEW_REPO_THRESHOLD_DAYS = Number(process.env.ALERT_NEW_REPO_DAYS || 30);
-
   // Identify newly created repos (created within NEW_REPO_THRESHOLD_DAYS)
   const newRepos = results.filter(project => {
     if (!project.createdDate) return false;
@@ -1130,13 +5995,14 @@ async function main() {
     return daysSinceActivity > STALE_THRESHOLD_DAYS;
   });
 
-  const totalCommits = activeResults.reduce((sum, project) => sum + project.commits.length, 0);
+  const rawCommits = activeResults.reduce((sum, project) => sum + (project.rawCommitCount ?? project.commits.length), 0);
   const totalMROpened = activeResults.reduce((sum, project) => sum + project.mrsOpened.length, 0);
   const totalMRMerged = activeResults.reduce((sum, project) => sum + project.mrsMerged.length, 0);
   const totalIssuesOpened = activeResults.reduce((sum, project) => sum + project.issuesOpened.length, 0);
   const totalIssuesClosed = activeResults.reduce((sum, project) => sum + project.issuesClosed.length, 0);
 
-  const allCommits = activeResults.flatMap(project => project.commits);
+  const allCommits = dedupeCommits(activeResults.flatMap(project => project.commits));
+  const totalCommits = allCommits.length;
   const allMrsOpened = activeResults.flatMap(project => project.mrsOpened);
   const allMrsMerged = activeResults.flatMap(project => project.mrsMerged);
   const allIssuesOpened = activeResults.flatMap(project => project.issuesOpened);
@@ -1144,102 +6010,315 @@ async function main() {
   const totalMonthIssuesOpened = results.reduce((sum, project) => sum + (project.monthIssuesOpened ? project.monthIssuesOpened.length : 0), 0);
   const totalMonthIssuesClosed = results.reduce((sum, project) => sum + (project.monthIssuesClosed ? project.monthIssuesClosed.length : 0), 0);
 
-  const contributors = new Set(allCommits.map(resolveAuthorName));
+  // Bot activity stays in the totals but is kept out of member stats and commit percentages.
+  const isHuman = item => !item.isBot;
+  const memberCommits = allCommits.filter(isHuman);
+  const contributors = new Set(memberCommits.map(resolveAuthorName));
+  const automation = {
+    commits: allCommits.length - memberCommits.length,
+    mergedMrs: allMrsMerged.filter(item => item.isBot).length,
+    openedMrs: allMrsOpened.filter(item => item.isBot).length,
+    accounts: [...new Set([...allCommits, ...allMrsMerged, ...allMrsOpened].filter(item => item.isBot).map(resolveAuthorName))].sort()
+  };
 
-  const isClientProject = project => CLIENT_PROJECT_ID_SET.has(String(project.projectId).toLowerCase());
-  const internal = results.filter(project => !isClientProject(project));
-  const client = results.filter(isClientProject);
   const internalActive = activeResults.filter(project => !isClientProject(project));
   const clientActive = activeResults.filter(isClientProject);
 
-  const activeOrgLabels = [];
-  if (internalActive.length) activeOrgLabels.push(ORG_LABEL_INTERNAL);
-  if (clientActive.length) activeOrgLabels.push(ORG_LABEL_CLIENT);
-  const organizationSummary = activeOrgLabels.length
-    ? `${activeOrgLabels.length} (${activeOrgLabels.join(" + ")})`
-    : "0 (no active orgs)";
-
   const summaryLine = activeResults.length
     ? `${totalMRMerged} PR${totalMRMerged === 1 ? "" : "s"} merged | ${totalCommits} commit${totalCommits === 1 ? "" : "s"} | ${totalIssuesClosed} issue${totalIssuesClosed === 1 ? "" : "s"} closed`
     : "No activity recorded in the selected window.";
 
   const memberSummaries = buildMemberSummaries({
-    commits: allCommits,
-    mrsMerged: allMrsMerged,
-    mrsOpened: allMrsOpened,
-    issuesOpened: allIssuesOpened,
-    issuesClosed: allIssuesClosed
+    commits: memberCommits,
+    mrsMerged: allMrsMerged.filter(isHuman),
+    mrsOpened: allMrsOpened.filter(isHuman),
+    issuesOpened: allIssuesOpened.filter(isHuman),
+    issuesClosed: allIssuesClosed.filter(isHuman),
+    reviews: allMrsMerged.flatMap(reviewersOf)
   });
+  // Bot PRs (Renovate, Dependabot) are often auto-merged and would read as unreviewed.
+  const reviewMetrics = computeReviewMetrics(allMrsMerged.filter(isHuman));
+  const openMrAging = computeOpenMrAging(results.flatMap(project => project.openMrs || []).filter(isHuman));
+  const pipelineHealth = computePipelineHealth(results);
+  const backlogHealth = computeBacklogHealth(results);
+  const workTypes = CONVENTIONAL_COMMITS_ENABLED ? computeWorkTypes(memberCommits) : null;
+  const changelog = CONVENTIONAL_COMMITS_ENABLED ? computeChangelog(allMrsMerged, memberCommits) : null;
+  const trackerWork = computeTrackerWork({ mrsMerged: allMrsMerged, commits: memberCommits, issuesClosed: allIssuesClosed }, ticketMetadata);
+  const milestoneProgress = computeMilestoneProgress([...results.flatMap(project => project.milestones || []), ...groupMilestones]);
+  const releases = results
+    .flatMap(project => project.releases || [])
+    .sort((a, b) => dayjs(b.released_at).valueOf() - dayjs(a.released_at).valueOf());
 
-  const teamMetricsBlock = formatTeamMetrics({
-    organizationSummary,
-    totalMRMerged,
-    totalMROpened,
-    totalCommits,
-    totalIssuesOpened,
-    totalIssuesClosed,
-    totalIssuesOpenedMonth: totalMonthIssuesOpened,
-    totalIssuesClosedMonth: totalMonthIssuesClosed,
+  const historyTotals = {
+    mergedMrs: totalMRMerged,
+    openedMrs: totalMROpened,
+    commits: totalCommits,
+    issuesOpened: totalIssuesOpened,
+    issuesClosed: totalIssuesClosed,
     activeRepos: activeResults.length,
-    contributors: contributors.size
-  });
-
-  const teamMembersBlock = formatTeamMembers(memberSummaries, "**Team Members Metrics**");
-  const internalBlock = formatOrgSummary(ORG_LABEL_INTERNAL, internalActive);
-  const clientBlock = formatOrgSummary(ORG_LABEL_CLIENT, clientActive);
-  const majorFeaturesBlock = formatMajorFeatures(allMrsMerged);
-  const bugActivityBlock = formatBugActivity(allIssuesOpened, allIssuesClosed);
-  const velocityHighlightBlock = formatVelocityHighlights({
-    totalMRMerged,
-    totalMROpened,
-    totalCommits,
-    totalIssuesClosed,
-    mrsMerged: allMrsMerged,
-    hasMultiOrg: internalActive.length > 0 && clientActive.length > 0
-  });
-  const commitBreakdownBlock = formatCommitBreakdown(memberSummaries, totalCommits);
-  const repoTableBlock = formatRepoTable(
-    activeResults.length ? activeResults : results.slice(0, 8),
-    { totalMRMerged, totalCommits }
-  );
-  
-  // Enhanced alert with both new repos and inactive repos
-  const inactiveAlertBlock = ALERT_INACTIVE 
-    ? formatInactivityAndNewRepoAlert(
-        recentlyActiveButInactiveToday, 
-        newRepos, 
-        STALE_THRESHOLD_DAYS,
-        NEW_REPO_THRESHOLD_DAYS
-      )
-    : null;
-  
-  const inactiveSummaryBlock = formatInactiveSummary(trulyStaledInactive);
+    contributors: contributors.size,
+    mergeRate: computeMergeRate(totalMRMerged, totalMROpened),
+    medianMergeHours: computeMedianMergeHours(allMrsMerged)
+  };
 
-  const organizationalBlocks = [
-    `📊 **${REPORT_TITLE} – ${label}**`,
+  return {
+    results,
+    activeResults,
+    newRepos,
+    recentlyActiveButInactiveToday,
+    trulyStaledInactive,
+    alertsEnabled: ALERT_INACTIVE,
+    staleThresholdDays: STALE_THRESHOLD_DAYS,
+    newRepoThresholdDays: NEW_REPO_THRESHOLD_DAYS,
+    totals: {
+      totalMRMerged,
+      totalMROpened,
+      totalCommits,
+      rawCommits,
+      totalIssuesOpened,
+      totalIssuesClosed,
+      totalIssuesOpenedMonth: totalMonthIssuesOpened,
+      totalIssuesClosedMonth: totalMonthIssuesClosed,
+      activeRepos: activeResults.length,
+      contributors: contributors.size,
+      memberCommits: memberCommits.length,
+      lines: sumDiffStats(allCommits),
+      automation
+    },
+    allCommits,
+    allMrsMerged,
+    allIssuesOpened,
+    allIssuesClosed,
+    internalActive,
+    clientActive,
     summaryLine,
-    teamMetricsBlock,
-    velocityHighlightBlock,
-    inactiveAlertBlock,
-    bugActivityBlock
-  ].filter(Boolean);
+    memberSummaries,
+    reviewMetrics,
+    openMrAging,
+    pipelineHealth,
+    backlogHealth,
+    milestoneProgress,
+    workTypes,
+    changelog,
+    trackerWork,
+    releases,
+    historyTotals
+  };
+}
 
-  const projectBlocks = [
-    "**Project Metrics**",
-    internalBlock,
-    clientBlock,
-    majorFeaturesBlock,
-    repoTableBlock,
-    inactiveSummaryBlock
-  ].filter(Boolean);
+function buildSummaryReport(summary, { reportWindow, title, orgLabels, trends, partialFailures = [] }) {
+  const activeOrgLabels = [];
+  if (summary.internalActive.length) activeOrgLabels.push(orgLabels.internal);
+  if (summary.clientActive.length) activeOrgLabels.push(orgLabels.client);
+  const organizationSummary = activeOrgLabels.length
+    ? `${activeOrgLabels.length} (${activeOrgLabels.join(" + ")})`
+    : "0 (no active orgs)";
 
-  const teamBlocks = [
-    teamMembersBlock,
-    commitBreakdownBlock,
-    `_Posted automatically by Aquarious Velocity Bot_`
-  ].filter(Boolean);
+  return buildReport({
+    reportWindow,
+    title,
+    summaryLine: summary.summaryLine,
+    organizationSummary,
+    orgLabels,
+    totals: summary.totals,
+    trends,
+    partialFailures,
+    since: reportWindow.since,
+    until: reportWindow.until,
+    commits: summary.allCommits,
+    mrsMerged: summary.allMrsMerged,
+    issuesOpened: summary.allIssuesOpened,
+    issuesClosed: summary.allIssuesClosed,
+    memberSummaries: summary.memberSummaries,
+    reviewMetrics: summary.reviewMetrics,
+    openMrAging: summary.openMrAging,
+    pipelineHealth: summary.pipelineHealth,
+    backlogHealth: summary.backlogHealth,
+    milestoneProgress: summary.milestoneProgress,
+    workTypes: summary.workTypes,
+    changelog: summary.changelog,
+    trackerWork: summary.trackerWork,
+    dora: DORA_ENABLED ? computeDoraMetrics(summary.results, reportWindow) : null,
+    releases: summary.releases,
+    internalActive: summary.internalActive,
+    clientActive: summary.clientActive,
+    repoProjects: summary.activeResults.length ? summary.activeResults : summary.results.slice(0, 8),
+    staleProjects: summary.trulyStaledInactive,
+    alerts: summary.alertsEnabled
+      ? {
+          inactiveProjects: summary.recentlyActiveButInactiveToday,
+          newRepos: summary.newRepos,
+          staleThresholdDays: summary.staleThresholdDays,
+          newRepoThresholdDays: summary.newRepoThresholdDays
+        }
+      : null
+  });
+}
 
-  const messages = [organizationalBlocks, projectBlocks, teamBlocks].filter(blocks => blocks.length);
+async function main() {
+  const reportWindow = computeWindow();
+  const { since, until, label } = reportWindow;
+  // Digest windows can start before the current month, so their issue fetch starts at the window itself.
+  const monthStart = reportWindow.digest ? dayjs(since) : dayjs().tz(REPORT_TZ).startOf("month");
+  // A project that still fails after retries is left out and listed in the report instead of aborting the run.
+  const partialFailures = [];
+  // project ({ projectId, projectPath }) lets client reports pick out their own failures;
+  // discovery failures have none, since the projects they would have found are unknown.
+  const collectOrNote = (name, collect, project = null) => collect().catch(err => {
+    const reason = err?.response?.status ? `HTTP ${err.response.status}` : err.message;
+    console.warn(`Unable to collect ${name}:`, reason);
+    partialFailures.push({ name, reason, project });
+    return null;
+  });
+
+  const gitlabResults = [];
+  for (const instance of gitlabInstances) {
+    let projectIds = instance.projectIds;
+    if (projectIds.length === 0) {
+      projectIds = await collectOrNote(`${instance.name} project discovery`, () => discoverProjects(instance)) || [];
+    }
+    const instanceResults = await Promise.all(
+      projectIds.map(pid => {
+        const projectId = gitlabProjectKey(instance, pid);
+        const project = { projectId, projectPath: projectCache.get(projectId)?.path_with_namespace || "" };
+        return collectOrNote(projectId, () => collectForProject(instance, pid, since, until, monthStart), project);
+      })
+    );
+    gitlabResults.push(...instanceResults.filter(Boolean));
+  }
+
+  const groupMilestones = [];
+  if (MILESTONES_ENABLED) {
+    for (const instance of gitlabInstances) {
+      for (const groupId of instance.groupIds) {
+        try {
+          groupMilestones.push(...await fetchGitlabGroupMilestones(instance, groupId));
+        } catch (err) {
+          console.warn(`Unable to fetch milestones for group ${groupId}:`, err?.response?.status || err.message);
+        }
+      }
+    }
+  }
+
+  let githubRepos = parseCsv("GITHUB_REPOS");
+  if ((!githubRepos.length) && github) {
+    githubRepos = await collectOrNote("github repository discovery", discoverGithubRepos) || [];
+  }
+
+  const githubPrefetched = new Map();
+  if (GITHUB_BACKEND === "graphql" && github) {
+    const graphqlWindow = {
+      sinceISO: dayjs(since).toISOString(),
+      untilISO: dayjs(until).toISOString(),
+      issuesSinceISO: dayjs(monthStart).toISOString()
+    };
+    for (let i = 0; i < githubRepos.length; i += GITHUB_GRAPHQL_BATCH) {
+      const batch = githubRepos.slice(i, i + GITHUB_GRAPHQL_BATCH);
+      try {
+        for (const [repo, payload] of await fetchGithubGraphqlBatch(batch, graphqlWindow)) githubPrefetched.set(repo, payload);
+      } catch (err) {
+        console.warn(`GitHub GraphQL batch failed (${batch.join(", ")}); using REST:`, err?.response?.status || err.message);
+      }
+    }
+  }
+
+  const githubResults = githubRepos.length && github
+    ? (await Promise.all(
+        githubRepos.map(repo => collectOrNote(
+          repo,
+          () => collectForGithubRepo(repo, since, until, monthStart, githubPrefetched.get(repo)),
+          { projectId: repo, projectPath: repo }
+        ))
+      )).filter(Boolean)
+    : [];
+
+  if (!gitlabResults.length && !githubResults.length) {
+    if (partialFailures.length) {
+      console.error(`Every project failed to collect (${partialFailures.length}).`);
+      process.exit(1);
+    }
+    console.error("No projects discovered. Configure GitLab (GROUP_IDS/USER_ID, GITLAB_PROJECT_IDS or GITLAB_INSTANCES) or GitHub (GITHUB_TOKEN with repositories).");
+    process.exit(1);
+  }
+
+  const results = [...gitlabResults, ...githubResults];
+
+  const unmatchedAuthors = applyAuthorIdentities(
+    results.flatMap(project => [
+      ...project.commits,
+      ...project.mrsOpened,
+      ...project.mrsMerged,
+      ...project.issuesOpened,
+      ...project.issuesClosed,
+      ...(project.monthIssuesOpened || []),
+      ...(project.monthIssuesClosed || []),
+      ...project.mrsMerged.flatMap(mr => mr.review?.events || []),
+      ...(project.openMrs || []).flatMap(mr => [mr, ...mr.people]),
+      ...(project.openIssues || []).flatMap(issue => [issue, ...issue.people])
+    ]),
+    identityMap
+  );
+  for (const project of results) {
+    project.rawCommitCount = project.commits.length;
+    if (COMMIT_EXCLUDE_MERGES) project.commits = project.commits.filter(commit => !isMergeCommit(commit));
+  }
+
+  if (BOT_FILTER_ENABLED) {
+    for (const project of results) {
+      const reviewEvents = project.mrsMerged.flatMap(mr => mr.review?.events || []);
+      const openMrs = project.openMrs || [];
+      for (const item of [...project.commits, ...project.mrsOpened, ...project.mrsMerged, ...project.issuesOpened, ...project.issuesClosed, ...reviewEvents, ...openMrs]) {
+        item.isBot = isBotAuthor(item);
+      }
+    }
+  }
+  if (unmatchedAuthors.length) {
+    console.warn(`Authors missing from IDENTITY_MAP_FILE (${unmatchedAuthors.length}):`);
+    unmatchedAuthors.forEach(author => console.warn(`  ${author.name}: ${author.aliases.join(", ")}`));
+  }
+
+  const isClientProject = project =>
+    CLIENT_PROJECT_ID_SET.has(String(project.projectId).toLowerCase()) ||
+    clientGroups.some(group => projectInClientGroup(group, project));
+  const ticketMetadata = await fetchTicketMetadata(
+    results.flatMap(project => [...project.mrsMerged, ...project.commits, ...project.issuesClosed])
+  );
+  const rollup = summarizeResults(results, isClientProject, { groupMilestones, ticketMetadata });
+
+  const historyDateKey = dayjs(until).tz(REPORT_TZ).format("YYYY-MM-DD");
+  // History snapshots are per day, so digest windows neither compare against nor write them;
+  // replays skip them too so their output only depends on the fixtures.
+  const history = HISTORY_ENABLED && !reportWindow.digest && FIXTURE_MODE !== "replay" ? loadHistory(HISTORY_FILE) : null;
+  const trends = history ? computeTrends(history, historyDateKey, rollup.historyTotals) : null;
+
+  const report = buildSummaryReport(rollup, {
+    reportWindow,
+    title: REPORT_TITLE,
+    orgLabels: { internal: ORG_LABEL_INTERNAL, client: ORG_LABEL_CLIENT },
+    trends,
+    partialFailures
+  });
+
+  // Client reports reuse the collected data; trends stay with the full rollup history.
+  const deliveries = destinations.length ? [{ report, destinations }] : [];
+  for (const group of clientGroups) {
+    const groupResults = results.filter(project => projectInClientGroup(group, project));
+    const groupFailures = partialFailures.filter(failure => !failure.project || projectInClientGroup(group, failure.project));
+    if (!groupResults.length && !groupFailures.some(failure => failure.project)) {
+      console.warn(`Client group "${group.name}" matched no projects; skipping its report.`);
+      continue;
+    }
+    deliveries.push({
+      report: buildSummaryReport(summarizeResults(groupResults, () => true, { ticketMetadata }), {
+        reportWindow,
+        title: group.title,
+        orgLabels: group.labels,
+        trends: null,
+        partialFailures: groupFailures
+      }),
+      destinations: [group.destination]
+    });
+  }
 
   if (process.env.VELOCITY_DRY_RUN === "1") {
     const summary = {
@@ -1262,18 +6341,75 @@ async function main() {
         }))
       }))
     };
+    if (identityMap) summary.unmatchedAuthors = unmatchedAuthors;
+    if (partialFailures.length) summary.partialFailures = partialFailures;
+    if (clientGroups.length) {
+      summary.clientGroups = clientGroups.map(group => ({
+        name: group.name,
+        destination: group.destination.type,
+        projects: results.filter(project => projectInClientGroup(group, project)).map(project => project.projectId)
+      }));
+    }
     console.log(JSON.stringify(summary, null, 2));
     return;
   }
 
-  for (const blocks of messages) {
-    await postMessageBlocks(blocks);
+  let posted = 0;
+  let failed = 0;
+  let attempted = 0;
+  for (const delivery of deliveries) {
+    const outcome = await deliverReport(delivery.report, delivery.destinations);
+    posted += outcome.posted;
+    failed += outcome.failed;
+    attempted += delivery.destinations.length;
+  }
+  if (failed) {
+    process.exitCode = 1;
+    if (failed === attempted) throw new Error("Report could not be delivered to any destination.");
+  }
+
+  if (history) {
+    history.days[historyDateKey] = buildHistorySnapshot({
+      totals: rollup.historyTotals,
+      results,
+      members: rollup.memberSummaries
+    });
+    saveHistory(HISTORY_FILE, history, HISTORY_RETENTION_DAYS);
+  }
+  // Marks only advance once the report is delivered, so a failed run never skips updates.
+  saveHighWaterMarks();
+  if (HTTP_CACHE_ENABLED) {
+    pruneResponseCache();
+    console.log(`HTTP cache: ${responseCache.fresh} fresh, ${responseCache.notModified} not modified.`);
   }
 
-  console.log(`Report posted in ${messages.length} message${messages.length === 1 ? "" : "s"}.`);
+  if (FIXTURE_MODE === "replay") {
+    console.log(`Report written to ${REPLAY_OUTPUT_DIR} as ${posted} payload${posted === 1 ? "" : "s"}.`);
+  } else {
+    console.log(`Report posted in ${posted} message${posted === 1 ? "" : "s"}.`);
+  }
 }
 
-main().catch(err => {
-  console.error("Failed:", err?.response?.data || err.message);
-  process.exit(1);
-});
+export {
+  computeWindow,
+  buildMemberSummaries,
+  applyAuthorIdentities,
+  chunkMessage,
+  packEmbeds,
+  formatCount,
+  formatTable,
+  formatMemberTotals,
+  formatSignedCount,
+  formatDoraHours,
+  formatPartialData,
+  flattenConfig,
+  CONFIG_SCHEMA
+};
+
+// Only run when executed directly, so the tests can import the helpers above.
+if (RUN_AS_CLI) {
+  main().catch(err => {
+    console.error("Failed:", err?.response?.data || err.message);
+    process.exit(1);
+  });
+}
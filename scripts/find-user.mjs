@@ -6,11 +6,16 @@ import path from "path";
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.resolve(__dirname, "..", ".env") });
 
-const rawToken = process.env.GITLAB_TOKEN || "";
+// GITLAB_INSTANCE=<name> targets a GITLAB_INSTANCES entry instead of the default instance.
+const instance = (process.env.GITLAB_INSTANCE || "").trim().toUpperCase().replace(/[^A-Z0-9]/g, "_");
+const envPrefix = instance ? `GITLAB_${instance}` : "GITLAB";
+const rawToken = process.env[`${envPrefix}_TOKEN`] || "";
 const token = rawToken.replace(/^"|"$/g, "");
+const rawBaseUrl = (process.env[`${envPrefix}_BASE_URL`] || "https://gitlab.com").trim().replace(/\/+$/, "");
+const baseURL = /\/api\/v4$/.test(rawBaseUrl) ? rawBaseUrl : `${rawBaseUrl}/api/v4`;
 
 if (!token) {
-  console.error("Missing GITLAB_TOKEN in environment.");
+  console.error(`Missing ${envPrefix}_TOKEN in environment.`);
   process.exit(1);
 }
 
@@ -22,7 +27,7 @@ if (!query) {
 }
 
 const client = axios.create({
-  baseURL: "https://gitlab.com/api/v4",
+  baseURL,
   headers: { "PRIVATE-TOKEN": token }
 });
 
@@ -0,0 +1,51 @@
+import "./setup.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import { flattenConfig, CONFIG_SCHEMA } from "../index.js";
+
+function flatten(config) {
+  const env = new Map();
+  const errors = [];
+  flattenConfig(CONFIG_SCHEMA, config, "", env, errors);
+  return { env: Object.fromEntries(env), errors };
+}
+
+test("flattenConfig maps nested settings onto their env vars", () => {
+  const { env, errors } = flatten({
+    report: { window: "weekly", weekStartDay: 0 },
+    sources: { gitlab: { groupIds: [12, "34"], instances: { "self-hosted": { baseUrl: "https://git.example.com/api/v4" } } } },
+    labels: { issueCategories: { "tech debt": ["refactor", "chore"] } },
+    alerts: { issueSlaDays: { Critical: 1, high: 7 } },
+    destinations: {
+      discord: { url: "https://discord.example.com/hook", sections: ["Metrics", "alerts"] },
+      ops: { type: "slack", url: "https://hooks.example.com/ops" }
+    }
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(env.WINDOW_MODE, "WEEKLY");
+  assert.equal(env.WEEK_START_DAY, "0");
+  assert.equal(env.GROUP_IDS, "12,34");
+  assert.equal(env.GITLAB_INSTANCES, "self-hosted");
+  assert.equal(env.GITLAB_SELF_HOSTED_BASE_URL, "https://git.example.com/api/v4");
+  assert.equal(env.ISSUE_CATEGORIES, "tech debt");
+  assert.equal(env.ISSUE_LABELS_TECH_DEBT, "refactor,chore");
+  assert.equal(env.ISSUE_SLA_DAYS, "critical=1,high=7");
+  assert.equal(env.DISCORD_SECTIONS, "metrics,alerts");
+  assert.equal(env.DESTINATIONS, "ops");
+  assert.equal(env.DESTINATION_OPS_TYPE, "slack");
+});
+
+test("flattenConfig reports every invalid entry with its path", () => {
+  const { errors } = flatten({
+    report: { timezone: "Nowhere/Special" },
+    sources: { gitlab: { groupIds: [1, "abc"], tokn: "x" } },
+    filters: { nameInclude: "([a-z" },
+    destinations: { ops: { type: "email" } }
+  });
+  assert.equal(errors.length, 5);
+  assert.match(errors[0], /^report\.timezone: unknown time zone/);
+  assert.match(errors[1], /^sources\.gitlab\.tokn: unknown key/);
+  assert.match(errors[2], /^sources\.gitlab\.groupIds\[1\]: expected a numeric ID/);
+  assert.match(errors[3], /^filters\.nameInclude: invalid regular expression/);
+  assert.match(errors[4], /^destinations\.ops\.type: expected one of/);
+});
@@ -0,0 +1,93 @@
+import "./setup.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  chunkMessage,
+  packEmbeds,
+  formatCount,
+  formatTable,
+  formatMemberTotals,
+  formatSignedCount,
+  formatDoraHours,
+  formatPartialData
+} from "../index.js";
+
+test("chunkMessage keeps whole lines within the limit", () => {
+  assert.deepEqual(chunkMessage("aaaa\nbbbb\ncccc", 9), ["aaaa\nbbbb", "cccc"]);
+  assert.deepEqual(chunkMessage(""), []);
+});
+
+test("chunkMessage hard-splits a line longer than the limit", () => {
+  assert.deepEqual(chunkMessage("x".repeat(10), 4), ["xxxx", "xxxx", "xx"]);
+});
+
+test("packEmbeds keeps every embed within Discord's 6000-character total", () => {
+  const field = index => ({ name: `Field ${index}`, value: "x".repeat(1024) });
+  const embeds = [
+    { title: "Long", description: "d".repeat(4096), fields: [field(1), field(2)], footer: { text: "footer" } },
+    { title: "Wide", fields: Array.from({ length: 25 }, (_, index) => field(index)) }
+  ];
+  const sizeOf = embed => (embed.title || "").length + (embed.description || "").length + (embed.footer?.text || "").length +
+    (embed.fields || []).reduce((sum, item) => sum + item.name.length + item.value.length, 0);
+  const packed = packEmbeds(embeds);
+  for (const message of packed) {
+    assert.ok(message.reduce((sum, embed) => sum + sizeOf(embed), 0) <= 6000);
+  }
+  const parts = packed.flat();
+  assert.equal(parts.reduce((sum, embed) => sum + (embed.fields || []).length, 0), 27);
+  assert.equal(parts.filter(embed => embed.footer).length, 1);
+  assert.equal(parts.find(embed => embed.footer).fields.at(-1).name, "Field 2");
+});
+
+test("formatTable pads every column but the last", () => {
+  assert.equal(formatTable([["Repo", "PRs"], ["api", "12"]]), "```text\nRepo  PRs\napi   12\n```");
+  assert.equal(formatTable([["Repo", "PRs"], ["api", "12"]], { lang: "" }), "```\nRepo  PRs\napi   12\n```");
+  assert.equal(formatTable([]), "");
+});
+
+test("count formatters", () => {
+  assert.equal(formatCount(1234567), "1,234,567");
+  assert.equal(formatCount(undefined), "0");
+  assert.equal(formatSignedCount(3), "+3");
+  assert.equal(formatSignedCount(-2), "-2");
+  assert.equal(formatSignedCount(0), "0");
+});
+
+test("formatDoraHours picks minutes, hours or days", () => {
+  assert.equal(formatDoraHours(null), "–");
+  assert.equal(formatDoraHours(0.5), "30m");
+  assert.equal(formatDoraHours(5), "5.0h");
+  assert.equal(formatDoraHours(72), "3.0d");
+});
+
+test("formatMemberTotals renders a table and the overflow note", () => {
+  const members = ["Alice", "Bob", "Carol"].map((name, index) => ({
+    name,
+    commits: 3 - index,
+    mergedMrs: 0,
+    openedMrs: 0,
+    issuesClosed: 0,
+    lines: null
+  }));
+  const block = formatMemberTotals(members, 2);
+  const lines = block.split("\n");
+  assert.equal(lines[0], "**👥 Member Totals**");
+  assert.match(lines[2], /^Member\s+Commits\s+PRs merged\s+PRs opened\s+Issues closed$/);
+  assert.match(lines[3], /^-{6}\s+-{7}/);
+  assert.match(lines[4], /^Alice\s+3\s/);
+  assert.equal(lines[6], "```");
+  assert.equal(lines[7], "…and 1 more contributor.");
+  assert.equal(formatMemberTotals([]), null);
+});
+
+test("formatPartialData lists every skipped project", () => {
+  assert.equal(formatPartialData([]), "");
+  assert.equal(
+    formatPartialData([{ name: "acme/api", reason: "HTTP 500" }]),
+    "**⚠️ Partial Data**\n1 project could not be collected; totals leave it out.\n• acme/api (HTTP 500)"
+  );
+  assert.equal(
+    formatPartialData([{ name: "gitlab project discovery", reason: "HTTP 500", project: null }]),
+    "**⚠️ Partial Data**\nProject discovery failed once; the projects it would have found are missing.\n• gitlab project discovery (HTTP 500)"
+  );
+});
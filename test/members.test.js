@@ -0,0 +1,76 @@
+import "./setup.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import { applyAuthorIdentities, buildMemberSummaries } from "../index.js";
+
+const alice = { name: "Alice", username: "alice" };
+const bob = { name: "Bob", username: "bob" };
+
+test("counts each member's activity and commit share", () => {
+  const members = buildMemberSummaries({
+    commits: [{ author_name: "Alice" }, { author_name: "Alice" }, { author_name: "Alice" }, { author: bob }],
+    mrsMerged: [{ author: bob }],
+    mrsOpened: [{ author: bob }, { author: alice }],
+    issuesOpened: [{ author: alice }],
+    issuesClosed: [{ author: alice }],
+    reviews: [{ author: alice }]
+  });
+  assert.deepEqual(members.map(member => member.name), ["Bob", "Alice"]);
+  const [bobSummary, aliceSummary] = members;
+  assert.equal(bobSummary.mergedMrs, 1);
+  assert.equal(bobSummary.commitPct, 25);
+  assert.equal(aliceSummary.commits, 3);
+  assert.equal(aliceSummary.commitPct, 75);
+  assert.equal(aliceSummary.openedMrs, 1);
+  assert.equal(aliceSummary.issuesClosed, 1);
+  assert.equal(aliceSummary.reviews, 1);
+  assert.equal(aliceSummary.lines, null);
+});
+
+test("sums diff stats when commits carry them", () => {
+  const [member] = buildMemberSummaries({
+    commits: [
+      { author: alice, diffStats: { additions: 10, deletions: 2, files: 1 } },
+      { author: alice, diffStats: { additions: 5, deletions: 5, files: 3 } }
+    ],
+    mrsMerged: [],
+    mrsOpened: [],
+    issuesOpened: [],
+    issuesClosed: []
+  });
+  assert.deepEqual(member.lines, { additions: 15, deletions: 7, files: 4 });
+});
+
+test("breaks ties by commits and then by name", () => {
+  const members = buildMemberSummaries({
+    commits: [{ author: bob }],
+    mrsMerged: [],
+    mrsOpened: [],
+    issuesOpened: [{ author: { name: "Carol" } }, { author: alice }],
+    issuesClosed: []
+  });
+  assert.deepEqual(members.map(member => member.name), ["Bob", "Alice", "Carol"]);
+});
+
+test("links aliases by email and username but not by display name alone", () => {
+  const items = [
+    { projectId: 1, author: { name: "Alice Adams", username: "alice" } },
+    { projectId: "acme/web", author: { name: "Alice Brown", username: "alice" } },
+    { projectId: 1, author_name: "Alice A", author_email: "alice@acme.io" },
+    { projectId: "acme/web", author_name: "Alice A.", author_email: "ALICE@acme.io" }
+  ];
+  applyAuthorIdentities(items, null);
+  assert.deepEqual(items.map(item => item.authorIdentity), ["Alice Adams", "Alice Brown", "Alice A.", "Alice A."]);
+});
+
+test("links display names listed in the identity map", () => {
+  const people = new Map([["name:alice adams", "Alice Adams"], ["name:alice a", "Alice Adams"]]);
+  const items = [
+    { projectId: 1, author: { name: "Alice Adams", username: "alice" } },
+    { projectId: 1, author_name: "Alice A", author_email: "alice@acme.io" },
+    { projectId: 1, author_name: "alice", author_email: "alice@home.example" }
+  ];
+  const unmatched = applyAuthorIdentities(items, people);
+  assert.deepEqual(items.map(item => item.authorIdentity), ["Alice Adams", "Alice Adams", "alice"]);
+  assert.deepEqual(unmatched.map(entry => entry.name), ["alice"]);
+});
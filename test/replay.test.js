@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+import { fileURLToPath } from "node:url";
+
+const run = promisify(execFile);
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// test/fixtures/replay was recorded with VELOCITY_FIXTURES=record against one GitLab
+// group of two projects, with the optional sections turned off to keep it small.
+// Fixture mode is read at import time, so the report runs in a child process.
+test("a replay rebuilds the report from recorded responses and writes the payload", async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "velocity-replay-"));
+  try {
+    fs.writeFileSync(path.join(outputDir, "discord-07.json"), "{}\n");
+    await run(process.execPath, [path.join(root, "index.js")], {
+      // Run outside the repo so a local .env is not picked up.
+      cwd: outputDir,
+      timeout: 60000,
+      env: {
+        PATH: process.env.PATH,
+        DISCORD_WEBHOOK_URL: "https://discord.invalid/api/webhooks/test",
+        GITLAB_TOKEN: "replay-token",
+        GROUP_IDS: "1",
+        INCLUDE_SUBGROUPS: "false",
+        REPORT_TZ: "UTC",
+        WINDOW_MODE: "DAILY",
+        VELOCITY_CONFIG: "none",
+        VELOCITY_FIXTURES: "replay",
+        VELOCITY_FIXTURES_DIR: path.join(root, "test", "fixtures", "replay"),
+        VELOCITY_OUTPUT_DIR: outputDir,
+        REVIEW_METRICS: "false",
+        OPEN_MR_AGING: "false",
+        PIPELINE_HEALTH: "false",
+        BACKLOG_HEALTH: "false",
+        MILESTONES: "false",
+        RELEASE_TRACKING: "false",
+        DORA: "false",
+        ALERT_INACTIVE_REPOS: "false"
+      }
+    });
+
+    // Payloads left by an earlier replay are cleared.
+    assert.deepEqual(fs.readdirSync(outputDir), ["discord-01.json"]);
+    const [embed] = JSON.parse(fs.readFileSync(path.join(outputDir, "discord-01.json"), "utf8")).embeds;
+    // The recorded clock (2026-10-19T12:00Z) puts the DAILY window on the day before.
+    assert.equal(embed.title, "📊 GitLab Engineering Team Velocity – October 18, 2026");
+    assert.match(embed.description, /^0 PRs merged \| 4 commits \| 0 issues closed/);
+    assert.equal(embed.fields.find(field => field.name === "Commits").value, "4");
+    assert.equal(embed.fields.find(field => field.name === "Active Repos").value, "2");
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
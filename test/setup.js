@@ -0,0 +1,16 @@
+// index.js reads its configuration at import time, so the tests pin the settings
+// they depend on before importing it (a local .env never overrides these).
+Object.assign(process.env, {
+  DISCORD_WEBHOOK_URL: "https://discord.invalid/api/webhooks/test",
+  GITLAB_TOKEN: "test-token",
+  GROUP_IDS: "1",
+  REPORT_TZ: "UTC",
+  WINDOW_MODE: "DAILY",
+  DIGEST_PERIOD: "previous",
+  WEEK_START_DAY: "1",
+  IDENTITY_MAP_FILE: "",
+  VELOCITY_FIXTURES: "",
+  VELOCITY_NOW: "",
+  HTTP_CACHE: "false",
+  VELOCITY_CONFIG: "none"
+});
@@ -0,0 +1,51 @@
+import "./setup.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import dayjsBase from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import { computeWindow } from "../index.js";
+
+const dayjs = dayjsBase.extend(utc).extend(timezone);
+// Wednesday, October 14 2026.
+const now = dayjs("2026-10-14T09:30:00Z").tz("UTC");
+
+test("DAILY covers the whole previous day", () => {
+  const window = computeWindow(now, "DAILY");
+  assert.equal(window.since.toISOString(), "2026-10-13T00:00:00.000Z");
+  assert.equal(window.until.toISOString(), "2026-10-13T23:59:59.999Z");
+  assert.equal(window.label, "October 13, 2026");
+  assert.equal(window.digest, false);
+});
+
+test("LAST24H ends now", () => {
+  const window = computeWindow(now, "LAST24H");
+  assert.equal(window.since.toISOString(), "2026-10-13T09:30:00.000Z");
+  assert.equal(window.until.toISOString(), "2026-10-14T09:30:00.000Z");
+  assert.equal(window.label, "Last 24h");
+});
+
+test("TODAY covers the current day", () => {
+  const window = computeWindow(now, "TODAY");
+  assert.equal(window.since.toISOString(), "2026-10-14T00:00:00.000Z");
+  assert.equal(window.until.toISOString(), "2026-10-14T23:59:59.999Z");
+});
+
+test("WEEKLY reports the last completed Monday-to-Sunday week", () => {
+  const window = computeWindow(now, "WEEKLY");
+  assert.equal(window.since.toISOString(), "2026-10-05T00:00:00.000Z");
+  assert.equal(window.until.toISOString(), "2026-10-11T23:59:59.999Z");
+  assert.equal(window.label, "Oct 5 – Oct 11, 2026");
+  assert.equal(window.digest, true);
+});
+
+test("MONTHLY reports the previous calendar month", () => {
+  const window = computeWindow(now, "MONTHLY");
+  assert.equal(window.since.toISOString(), "2026-09-01T00:00:00.000Z");
+  assert.equal(window.until.toISOString(), "2026-09-30T23:59:59.999Z");
+  assert.equal(window.label, "September 2026 (Sep 1 – Sep 30, 2026)");
+});
+
+test("SPRINT needs SPRINT_START_DATE", () => {
+  assert.throws(() => computeWindow(now, "SPRINT"), /SPRINT_START_DATE/);
+});